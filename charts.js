@@ -0,0 +1,74 @@
+// ============================================================
+// Workshop Trend Calculator - Inline SVG charts
+// Builds chart markup as strings from workshopTrends() output (forecast.js). Plain SVG,
+// no libraries, fonts or network requests.
+// ============================================================
+
+const TREND_COLORS = { up: '#34d399', down: '#f87171', flat: '#94a3b8', none: '#64748b' };
+const TREND_ARROWS = { up: '▲', down: '▼', flat: '▶', none: '' };
+
+function formatTrendValue(value, isRate) {
+  return isRate ? `${(value * 100).toFixed(0)}%` : String(Math.round(value * 10) / 10);
+}
+
+// Maps values onto the plot box; a flat series is drawn across the middle
+function scalePoints(values, box, yMin, yMax) {
+  const span = yMax - yMin || 1;
+  const step = values.length > 1 ? box.width / (values.length - 1) : 0;
+  return values.map((v, i) => ({
+    x: box.x + (values.length > 1 ? i * step : box.width / 2),
+    y: yMax === yMin ? box.y + box.height / 2 : box.y + box.height - ((v - yMin) / span) * box.height,
+  }));
+}
+
+function pointsAttr(points) {
+  return points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+}
+
+// One metric as a small panel: values as a line with dots, the rolling average dashed
+function renderTrendChart(dates, series, def) {
+  const width = 180, height = 78;
+  const box = { x: 6, y: 18, width: width - 12, height: height - 34 };
+  const all = series.values.concat(series.rolling);
+  let yMin = Math.min(...all), yMax = Math.max(...all);
+  if (def.isRate) { yMin = Math.max(0, yMin - 0.05); yMax = Math.min(1, yMax + 0.05); }
+  const pts = scalePoints(series.values, box, yMin, yMax);
+  const rolling = scalePoints(series.rolling, box, yMin, yMax);
+  const dir = series.trend.direction;
+  const color = TREND_COLORS[dir];
+  const last = series.values[series.values.length - 1];
+
+  const dots = pts.map((p, i) =>
+    `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="2" fill="#60a5fa"><title>${dates[i]}: ${formatTrendValue(series.values[i], def.isRate)}</title></circle>`).join('');
+
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${def.label} trend">
+    <text x="6" y="11" class="trend-chart-label">${def.label}</text>
+    <text x="${width - 6}" y="11" text-anchor="end" fill="${color}" class="trend-chart-label">${TREND_ARROWS[dir]} ${formatTrendValue(last, def.isRate)}</text>
+    <line x1="${box.x}" y1="${box.y + box.height}" x2="${box.x + box.width}" y2="${box.y + box.height}" stroke="#1e293b"/>
+    ${pts.length > 1 ? `<polyline points="${pointsAttr(pts)}" fill="none" stroke="#60a5fa" stroke-width="1.2" opacity="0.6"/>` : ''}
+    ${rolling.length > 1 ? `<polyline points="${pointsAttr(rolling)}" fill="none" stroke="${color}" stroke-width="1.5" stroke-dasharray="3 2"/>` : ''}
+    ${dots}
+    <text x="${box.x}" y="${height - 3}" class="trend-chart-axis">${dates[0] || ''}</text>
+    <text x="${box.x + box.width}" y="${height - 3}" text-anchor="end" class="trend-chart-axis">${dates[dates.length - 1] || ''}</text>
+  </svg>`;
+}
+
+function renderTrendCharts(trends) {
+  if (trends.dates.length < 2) return '';
+  return `<div class="trend-charts">${TREND_METRICS.map(def =>
+    renderTrendChart(trends.dates, trends.metrics[def.metric], def)).join('')}</div>
+    <div class="trend-legend">Solid: each workshop · dashed: ${TREND_ROLLING}-workshop rolling average · arrow: direction over the last ${TREND_WINDOW}</div>`;
+}
+
+// Tiny line for card headers, coloured by the metric's trend direction
+function renderSparkline(series, label) {
+  const values = series.values.slice(-12);
+  if (values.length < 2) return '';
+  const width = 48, height = 14;
+  const pts = scalePoints(values, { x: 1, y: 1, width: width - 2, height: height - 2 }, Math.min(...values), Math.max(...values));
+  const dir = series.trend.direction;
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${label} trend">
+    <title>${label}: ${dir === 'none' ? 'not enough workshops for a trend' : `trending ${dir}`}</title>
+    <polyline points="${pointsAttr(pts)}" fill="none" stroke="${TREND_COLORS[dir]}" stroke-width="1.3"/>
+  </svg>`;
+}
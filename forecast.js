@@ -0,0 +1,846 @@
+// ============================================================
+// Workshop Trend Calculator - Forecast engine
+// Pure functions: workshop history + current registrations + target + as-of date in,
+// result object out. No DOM, storage or clock access — callers pass `asOf`.
+// ============================================================
+
+// --- Calculations ---
+// Estimate separate show rates for confirmed vs unconfirmed registrants.
+// Assumes confirmed attendees show preferentially (higher rate).
+function splitShowRates(registeredShowUp, regClose, confirmed) {
+  let confirmedShowRate = 0, unconfirmedShowRate = 0;
+  if (confirmed > 0) {
+    confirmedShowRate = Math.min(1.0, registeredShowUp / confirmed);
+    const confirmedWhoShowed = confirmed * confirmedShowRate;
+    const unconfirmedWhoShowed = Math.max(0, registeredShowUp - confirmedWhoShowed);
+    const unconfirmedCount = regClose - confirmed;
+    unconfirmedShowRate = unconfirmedCount > 0 ? unconfirmedWhoShowed / unconfirmedCount : 0;
+  }
+  return { confirmedShowRate, unconfirmedShowRate };
+}
+
+// One registrant group (feds or spouses). The sheet only counts walk-ins in total, so
+// each group is charged its share of them in proportion to its attendance.
+function groupStats(regClose, confirmed, attended, walkins) {
+  if (regClose <= 0) return null;
+  const registeredShowUp = Math.max(0, attended - walkins);
+  return Object.assign({
+    regClose, confirmed, attended,
+    showRate: registeredShowUp / regClose,
+  }, splitShowRates(registeredShowUp, regClose, confirmed));
+}
+
+function computeWorkshopStats(ws) {
+  const totalRegClose = ws.totalFedsClose + ws.totalSpsClose;
+  const totalConfirmed = ws.totalFedConfirmed + (ws.totalSpsConfirmed || 0);
+  const totalAttended = ws.totalFedsAttended + ws.totalSpsAttended;
+  if (totalRegClose === 0) return null;
+
+  const registeredShowUp = Math.max(0, totalAttended - ws.totalWalkins);
+  const confirmationRate = totalConfirmed > 0 ? totalConfirmed / totalRegClose : 0;
+  const { confirmedShowRate, unconfirmedShowRate } = splitShowRates(registeredShowUp, totalRegClose, totalConfirmed);
+
+  const effectiveShowRate = totalRegClose > 0 ? registeredShowUp / totalRegClose : 0;
+  const totalYes = ws.totalYes || 0;
+  const yesRate = totalAttended > 0 ? totalYes / totalAttended : 0;
+
+  const fedWalkins = totalAttended > 0 ? ws.totalWalkins * ws.totalFedsAttended / totalAttended : 0;
+  const groups = {
+    fed: groupStats(ws.totalFedsClose, ws.totalFedConfirmed, ws.totalFedsAttended, fedWalkins),
+    sps: groupStats(ws.totalSpsClose, ws.totalSpsConfirmed || 0, ws.totalSpsAttended, ws.totalWalkins - fedWalkins),
+  };
+
+  return { totalRegClose, totalConfirmed, totalAttended, confirmationRate, confirmedShowRate, unconfirmedShowRate, effectiveShowRate, walkins: ws.totalWalkins, totalYes, yesRate, groups };
+}
+
+// Registrant groups tracked separately: federal employees and their spouses
+const REGISTRANT_GROUPS = ['fed', 'sps'];
+
+// --- Recency Weighting ---
+// How much each past workshop counts toward the averages. `days` is whole days before
+// asOf plus one (yesterday = 2), `rank` is 0 for the most recent eligible workshop.
+const WEIGHTING_STRATEGIES = {
+  'inverse-days': {
+    label: '1/days',
+    weight: (days) => 1 / days,
+    describe: () => '1/days (most recent dominates)',
+  },
+  exponential: {
+    label: 'Exponential decay',
+    weight: (days, rank, opts) => Math.pow(0.5, (days - 1) / opts.halfLifeDays),
+    describe: (opts) => `Exponential decay, half-life ${opts.halfLifeDays} days`,
+  },
+  equal: {
+    label: 'Equal',
+    weight: () => 1,
+    describe: () => 'Equal weighting (all workshops)',
+  },
+  'last-n': {
+    label: 'Last N only',
+    weight: (days, rank, opts) => (rank < opts.lastN ? 1 : 0),
+    describe: (opts) => `Last ${opts.lastN} workshop${opts.lastN !== 1 ? 's' : ''}, equal weight`,
+  },
+};
+
+const DEFAULT_WEIGHTING = { strategy: 'inverse-days', halfLifeDays: 90, lastN: 5 };
+
+function normalizeWeighting(weighting) {
+  const w = Object.assign({}, DEFAULT_WEIGHTING, weighting || {});
+  if (!WEIGHTING_STRATEGIES[w.strategy]) w.strategy = DEFAULT_WEIGHTING.strategy;
+  w.halfLifeDays = Number(w.halfLifeDays) > 0 ? Number(w.halfLifeDays) : DEFAULT_WEIGHTING.halfLifeDays;
+  w.lastN = Math.max(1, Math.round(Number(w.lastN) || DEFAULT_WEIGHTING.lastN));
+  return w;
+}
+
+function describeWeighting(weighting) {
+  const w = normalizeWeighting(weighting);
+  return WEIGHTING_STRATEGIES[w.strategy].describe(w);
+}
+
+// Running sums behind every rate computeRecencyWeighted reports. They only ever add
+// weight × value, so two sets of equal-weight sums can be subtracted (see
+// pooledRatesAsOf).
+function emptyRateSums() {
+  const groups = {};
+  REGISTRANT_GROUPS.forEach(g => { groups[g] = { sr: 0, srW: 0, csr: 0, csrW: 0, usr: 0, usrW: 0, count: 0, confirmedCount: 0 }; });
+  return {
+    srNum: 0, srDen: 0, srSq: 0, wkNum: 0, wkDen: 0, wkSq: 0, wSq: 0,
+    csrNum: 0, csrDen: 0, usrNum: 0, usrDen: 0, confirmedWsCount: 0,
+    yrNum: 0, yrDen: 0, yrSq: 0, yrWSq: 0, yesWsCount: 0,
+    wsCount: 0, groups,
+  };
+}
+
+function addWorkshopToSums(sums, stats, w) {
+  if (!isNaN(stats.effectiveShowRate) && isFinite(stats.effectiveShowRate)) {
+    sums.srNum += stats.effectiveShowRate * w;
+    sums.srDen += w;
+    sums.srSq += stats.effectiveShowRate * stats.effectiveShowRate * w;
+  }
+  // Track confirmed and unconfirmed show rates separately
+  if (stats.totalConfirmed > 0) {
+    sums.csrNum += stats.confirmedShowRate * w;
+    sums.csrDen += w;
+    sums.confirmedWsCount++;
+    if (!isNaN(stats.unconfirmedShowRate) && isFinite(stats.unconfirmedShowRate)) {
+      sums.usrNum += stats.unconfirmedShowRate * w;
+      sums.usrDen += w;
+    }
+  }
+  // Feds and spouses show up at different rates; each group learns only from the
+  // workshops where it had registrants
+  REGISTRANT_GROUPS.forEach(g => {
+    const gs = stats.groups[g];
+    if (!gs) return;
+    const group = sums.groups[g];
+    group.sr += gs.showRate * w;
+    group.srW += w;
+    if (gs.confirmed > 0) {
+      group.csr += gs.confirmedShowRate * w;
+      group.csrW += w;
+      group.usr += gs.unconfirmedShowRate * w;
+      group.usrW += w;
+      group.confirmedCount++;
+    }
+    group.count++;
+  });
+  // A 0 here can't be told apart from a sheet with no Total Yes row, so only
+  // workshops that recorded yeses feed the yes rate
+  if (stats.totalYes > 0) {
+    sums.yrNum += stats.yesRate * w;
+    sums.yrDen += w;
+    sums.yrSq += stats.yesRate * stats.yesRate * w;
+    sums.yrWSq += w * w;
+    sums.yesWsCount++;
+  }
+  sums.wkNum += stats.walkins * w;
+  sums.wkDen += w;
+  sums.wkSq += stats.walkins * stats.walkins * w;
+  sums.wSq += w * w;
+  sums.wsCount++;
+}
+
+// a + sign × b, field by field
+function combineRateSums(a, b, sign) {
+  const out = emptyRateSums();
+  Object.keys(out).forEach(f => { if (f !== 'groups') out[f] = a[f] + sign * b[f]; });
+  REGISTRANT_GROUPS.forEach(g => {
+    Object.keys(out.groups[g]).forEach(f => { out.groups[g][f] = a.groups[g][f] + sign * b.groups[g][f]; });
+  });
+  return out;
+}
+
+function ratesFromSums(sums) {
+  const groups = {};
+  REGISTRANT_GROUPS.forEach(g => {
+    const group = sums.groups[g];
+    groups[g] = {
+      showRate: group.srW > 0 ? group.sr / group.srW : 0,
+      confirmedShowRate: group.csrW > 0 ? group.csr / group.csrW : 0,
+      unconfirmedShowRate: group.usrW > 0 ? group.usr / group.usrW : 0,
+      wsCount: group.count,
+      confirmedWsCount: group.confirmedCount,
+    };
+  });
+
+  return {
+    showRate: sums.srDen > 0 ? sums.srNum / sums.srDen : 0,
+    showRateSD: weightedSD(sums.srNum, sums.srSq, sums.srDen, sums.wSq),
+    walkinSD: weightedSD(sums.wkNum, sums.wkSq, sums.wkDen, sums.wSq),
+    confirmedShowRate: sums.csrDen > 0 ? sums.csrNum / sums.csrDen : 0,
+    unconfirmedShowRate: sums.usrDen > 0 ? sums.usrNum / sums.usrDen : 0,
+    confirmedWsCount: sums.confirmedWsCount,
+    avgWalkins: sums.wkDen > 0 ? sums.wkNum / sums.wkDen : 0,
+    yesRate: sums.yrDen > 0 ? sums.yrNum / sums.yrDen : 0,
+    yesRateSD: weightedSD(sums.yrNum, sums.yrSq, sums.yrDen, sums.yrWSq),
+    yesWsCount: sums.yesWsCount,
+    groups,
+    wsCount: sums.wsCount,
+  };
+}
+
+// Workshops that can feed a forecast made on asOf: not excluded, with usable numbers,
+// held before that day. Most recent first.
+function eligibleWorkshops(workshopList, asOf) {
+  const today = new Date(asOf);
+  return workshopList
+    .filter(ws => !ws.excluded)
+    .map(ws => ({ stats: computeWorkshopStats(ws), date: new Date(ws.workshopDate) }))
+    .filter(e => e.stats && e.date < today)
+    .sort((a, b) => b.date - a.date);
+}
+
+// asOf is the "today" the history is viewed from: workshops on/after it are ignored,
+// as are workshops flagged `excluded`.
+// weighting defaults to DEFAULT_WEIGHTING (1/days).
+function computeRecencyWeighted(workshopList, asOf, weighting) {
+  const today_ms = new Date(asOf).getTime();
+  const opts = normalizeWeighting(weighting);
+  const strategy = WEIGHTING_STRATEGIES[opts.strategy];
+  const sums = emptyRateSums();
+  let minSR = Infinity, maxSR = -Infinity;
+
+  const eligible = eligibleWorkshops(workshopList, asOf);
+  eligible.forEach(({ stats, date: wsDate }, rank) => {
+    const days = Math.floor((today_ms - wsDate.getTime()) / 86400000) + 1;
+    const w = strategy.weight(days, rank, opts);
+    if (w <= 0) return;
+    if (!isNaN(stats.effectiveShowRate) && isFinite(stats.effectiveShowRate)) {
+      minSR = Math.min(minSR, stats.effectiveShowRate);
+      maxSR = Math.max(maxSR, stats.effectiveShowRate);
+    }
+    addWorkshopToSums(sums, stats, w);
+  });
+
+  return Object.assign(ratesFromSums(sums), {
+    minShowRate: minSR === Infinity ? 0 : minSR,
+    maxShowRate: maxSR === -Infinity ? 0 : maxSR,
+    // Usable history regardless of weighting — last-n leaves older workshops at zero
+    // weight, but they still say how well the advisor is known
+    historyCount: eligible.length,
+    weighting: opts,
+  });
+}
+
+// Weighted sample standard deviation (reliability weights); null when it can't be
+// estimated, i.e. fewer than two workshops carry weight.
+function weightedSD(sum, sumSq, sumW, sumW2) {
+  if (sumW <= 0) return null;
+  const denom = sumW - sumW2 / sumW;
+  if (denom <= 1e-12) return null;
+  const mean = sum / sumW;
+  return Math.sqrt(Math.max(0, (sumSq - sumW * mean * mean) / denom));
+}
+
+// --- Attendance Distribution ---
+// Attendance is modelled as normal: registrations × show rate + walk-ins, where the
+// show rate varies from workshop to workshop (its weighted SD across history) and
+// walk-ins vary independently. With fewer than two workshops the spread can't be
+// measured, so a prior show-rate SD is used and walk-ins are treated as Poisson.
+const PRIOR_SHOW_RATE_SD = 0.1;
+const PRIOR_YES_RATE_SD = 0.1;
+const Z_80 = 1.2816;   // two-sided 80% interval
+const MAX_CLOSE_AT = 5000;
+
+const DEFAULT_CLOSE_RULE = { mode: 'expected', confidence: 0.75 };
+
+function normalizeCloseRule(rule) {
+  const r = Object.assign({}, DEFAULT_CLOSE_RULE, rule || {});
+  if (r.mode !== 'probability') r.mode = 'expected';
+  const c = Number(r.confidence);
+  r.confidence = c > 0 && c < 1 ? c : DEFAULT_CLOSE_RULE.confidence;
+  return r;
+}
+
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 — plenty for percentages shown to whole numbers
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function attendanceDistribution(totalReg, rate, rates) {
+  const rateSD = rates.wsCount >= 2 && rates.showRateSD !== null ? rates.showRateSD : PRIOR_SHOW_RATE_SD;
+  const walkinVar = rates.wsCount >= 2 && rates.walkinSD !== null ? rates.walkinSD * rates.walkinSD : rates.avgWalkins;
+  const mean = totalReg * rate + rates.avgWalkins;
+  const sd = Math.sqrt(totalReg * totalReg * rateSD * rateSD + walkinVar);
+  return { mean, sd };
+}
+
+// Yes outcomes = attendance × yes rate; the spread combines both uncertainties
+function yesDistribution(attendance, rates) {
+  const yesSD = rates.yesWsCount >= 2 && rates.yesRateSD !== null ? rates.yesRateSD : PRIOR_YES_RATE_SD;
+  const mean = attendance.mean * rates.yesRate;
+  const sd = Math.sqrt(rates.yesRate * rates.yesRate * attendance.sd * attendance.sd + attendance.mean * attendance.mean * yesSD * yesSD);
+  return { mean, sd };
+}
+
+// Distribution of whatever the target counts: headcount, or Yes outcomes
+function outcomeDistribution(totalReg, rate, rates, targetType) {
+  const attendance = attendanceDistribution(totalReg, rate, rates);
+  return targetType === 'yes' ? yesDistribution(attendance, rates) : attendance;
+}
+
+// P(outcome ≥ target), with a continuity correction since counts are whole numbers
+function probabilityAtLeast(dist, target) {
+  if (dist.sd <= 0) return dist.mean >= target ? 1 : 0;
+  return 1 - normalCdf((target - 0.5 - dist.mean) / dist.sd);
+}
+
+// Smallest registration count whose probability of reaching target is ≥ confidence;
+// 0 when no count gets there (the spread grows as fast as the mean).
+function probabilisticCloseAt(target, rate, rates, confidence, targetType) {
+  if (target <= 0 || rate <= 0) return 0;
+  if (targetType === 'yes' && rates.yesRate <= 0) return 0;
+  for (let n = 1; n <= MAX_CLOSE_AT; n++) {
+    if (probabilityAtLeast(outcomeDistribution(n, rate, rates, targetType), target) >= confidence) return n;
+  }
+  return 0;
+}
+
+// --- Outliers ---
+// Flags workshops whose show rate or walk-ins sit far from the advisor's norm, using the
+// modified z-score (distance from the median in units of 1.4826 × MAD). Manually
+// excluded workshops don't count toward the norm. Needs a handful of workshops to say
+// anything; returns { [workshopDate]: [{ metric, value, median }] } for flagged dates only.
+const OUTLIER_Z = 3.5;
+const OUTLIER_MIN_WORKSHOPS = 4;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function detectOutliers(workshops) {
+  const usable = workshops
+    .filter(ws => !ws.excluded)
+    .map(ws => ({ ws, stats: computeWorkshopStats(ws) }))
+    .filter(e => e.stats);
+  const flags = {};
+  if (usable.length < OUTLIER_MIN_WORKSHOPS) return flags;
+
+  const metrics = [
+    { metric: 'showRate', value: e => e.stats.effectiveShowRate },
+    { metric: 'walkins', value: e => e.stats.walkins },
+  ];
+  metrics.forEach(({ metric, value }) => {
+    const values = usable.map(value);
+    const med = median(values);
+    let spread = 1.4826 * median(values.map(v => Math.abs(v - med)));
+    // Over half the workshops identical → MAD is 0; fall back to mean absolute deviation
+    if (spread === 0) spread = 1.2533 * values.reduce((sum, v) => sum + Math.abs(v - med), 0) / values.length;
+    if (spread === 0) return;
+
+    workshops.forEach(ws => {
+      const stats = computeWorkshopStats(ws);
+      if (!stats) return;
+      const v = value({ ws, stats });
+      if (Math.abs(v - med) / spread > OUTLIER_Z) {
+        (flags[ws.workshopDate] = flags[ws.workshopDate] || []).push({ metric, value: v, median: med });
+      }
+    });
+  });
+  return flags;
+}
+
+// --- Trends ---
+// Per-metric history for charts: values oldest → newest, a trailing rolling average, and
+// a direction from a least-squares line through the most recent TREND_WINDOW workshops.
+// Rates move on an absolute threshold (3 points); counts on 10% of their recent mean.
+const TREND_WINDOW = 6;
+const TREND_ROLLING = 3;
+const TREND_MIN_POINTS = 3;
+
+const TREND_METRICS = [
+  { metric: 'showRate', label: 'Show rate', isRate: true, threshold: 0.03, value: s => s.effectiveShowRate },
+  { metric: 'confirmationRate', label: 'Confirmation rate', isRate: true, threshold: 0.03, value: s => s.confirmationRate },
+  { metric: 'walkins', label: 'Walk-ins', isRate: false, threshold: 0.1, value: s => s.walkins },
+  { metric: 'attendance', label: 'Attendance', isRate: false, threshold: 0.1, value: s => s.totalAttended },
+];
+
+function rollingMean(values, width) {
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - width + 1), i + 1);
+    return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+  });
+}
+
+function linearFit(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let num = 0, den = 0;
+  values.forEach((v, x) => {
+    num += (x - meanX) * (v - meanY);
+    den += (x - meanX) * (x - meanX);
+  });
+  const slope = den > 0 ? num / den : 0;
+  return { slope, intercept: meanY - slope * meanX, meanY };
+}
+
+// 'up' | 'down' | 'flat', or 'none' with too few workshops. `change` is the fitted
+// rise across the window, in the metric's own units.
+function trendDirection(values, def) {
+  const recent = values.slice(-TREND_WINDOW);
+  if (recent.length < TREND_MIN_POINTS) return { direction: 'none', change: 0 };
+  const fit = linearFit(recent);
+  const change = fit.slope * (recent.length - 1);
+  const threshold = def.isRate ? def.threshold : Math.max(1, def.threshold * fit.meanY);
+  const direction = change >= threshold ? 'up' : change <= -threshold ? 'down' : 'flat';
+  return { direction, change };
+}
+
+function workshopTrends(workshops) {
+  const points = workshops
+    .filter(ws => !ws.excluded)
+    .map(ws => ({ date: ws.workshopDate, stats: computeWorkshopStats(ws) }))
+    .filter(p => p.stats)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const metrics = {};
+  TREND_METRICS.forEach(def => {
+    const values = points.map(p => def.value(p.stats));
+    metrics[def.metric] = {
+      values,
+      rolling: rollingMean(values, TREND_ROLLING),
+      trend: trendDirection(values, def),
+    };
+  });
+  return { dates: points.map(p => p.date), metrics };
+}
+
+// --- Confidence Level ---
+function getConfidenceLevel(count) {
+  if (count >= 10) return { label: 'High', cls: 'conf-high' };
+  if (count >= 6) return { label: 'Good', cls: 'conf-good' };
+  if (count >= 3) return { label: 'Moderate', cls: 'conf-mod' };
+  return { label: 'Low', cls: 'conf-low' };
+}
+
+// --- Baseline Shrinkage ---
+// An advisor with one or two workshops is pulled toward rates pooled across other
+// advisors (all of them, or those in the same state). Each rate is blended by how much
+// evidence backs it: own × n/(n + strength) + baseline × strength/(n + strength), where
+// n is the number of the advisor's workshops behind that rate.
+const BASELINE_MODES = ['off', 'overall', 'state'];
+const DEFAULT_BASELINE = { mode: 'overall', strength: 3 };
+const BASELINE_MIN_WORKSHOPS = 5;   // a state pool smaller than this falls back to all advisors
+
+function normalizeBaselineSettings(baseline) {
+  const b = Object.assign({}, DEFAULT_BASELINE, baseline || {});
+  if (!BASELINE_MODES.includes(b.mode)) b.mode = DEFAULT_BASELINE.mode;
+  const strength = Number(b.strength);
+  b.strength = strength > 0 && strength <= 50 ? strength : DEFAULT_BASELINE.strength;
+  return b;
+}
+
+// Pooled rates: every workshop before asOf counts equally, whichever advisor ran it
+function computeBaselineRates(workshops, asOf) {
+  return computeRecencyWeighted(workshops, asOf, { strategy: 'equal' });
+}
+
+// The same pooled rates for many forecasts at once (every card, every replayed workshop
+// in the Accuracy tab). Workshops are summed in date order once; the rates as of any
+// day are then the running total before it, minus the advisor's own pool (its own
+// workshops, indexed the same way) when the pool includes them.
+function indexBaselinePool(workshops) {
+  const entries = workshops
+    .filter(ws => !ws.excluded)
+    .map(ws => ({ stats: computeWorkshopStats(ws), time: new Date(ws.workshopDate).getTime() }))
+    .filter(e => e.stats && !isNaN(e.time))
+    .sort((a, b) => a.time - b.time);
+  const running = emptyRateSums();
+  const totals = entries.map(({ stats }) => {
+    addWorkshopToSums(running, stats, 1);
+    return combineRateSums(running, emptyRateSums(), 1);   // a copy of the total so far
+  });
+  return { times: entries.map(e => e.time), totals };
+}
+
+function poolSumsBefore(pool, asOf) {
+  const t = new Date(asOf).getTime();
+  let lo = 0, hi = pool.times.length;   // count of workshops strictly before asOf
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pool.times[mid] < t) lo = mid + 1; else hi = mid;
+  }
+  return lo > 0 ? pool.totals[lo - 1] : emptyRateSums();
+}
+
+function pooledRatesAsOf(pool, asOf, own) {
+  const sums = poolSumsBefore(pool, asOf);
+  const rates = ratesFromSums(own ? combineRateSums(sums, poolSumsBefore(own, asOf), -1) : sums);
+  return Object.assign(rates, { historyCount: rates.wsCount });
+}
+
+function shrinkRates(own, base, strength) {
+  const mix = (ownVal, n, baseVal, baseN) =>
+    (baseN > 0 ? (ownVal * n + baseVal * strength) / (n + strength) : ownVal);
+  const groups = {};
+  REGISTRANT_GROUPS.forEach(g => {
+    const o = own.groups[g], b = base.groups[g];
+    groups[g] = Object.assign({}, o, {
+      showRate: mix(o.showRate, o.wsCount, b.showRate, b.wsCount),
+      confirmedShowRate: mix(o.confirmedShowRate, o.confirmedWsCount, b.confirmedShowRate, b.confirmedWsCount),
+      unconfirmedShowRate: mix(o.unconfirmedShowRate, o.confirmedWsCount, b.unconfirmedShowRate, b.confirmedWsCount),
+      fromBaseline: b.wsCount > 0,
+    });
+  });
+  return Object.assign({}, own, {
+    showRate: mix(own.showRate, own.wsCount, base.showRate, base.wsCount),
+    confirmedShowRate: mix(own.confirmedShowRate, own.confirmedWsCount, base.confirmedShowRate, base.confirmedWsCount),
+    unconfirmedShowRate: mix(own.unconfirmedShowRate, own.confirmedWsCount, base.unconfirmedShowRate, base.confirmedWsCount),
+    avgWalkins: mix(own.avgWalkins, own.wsCount, base.avgWalkins, base.wsCount),
+    yesRate: mix(own.yesRate, own.yesWsCount, base.yesRate, base.yesWsCount),
+    groups,
+  });
+}
+
+// --- Forecast ---
+function toCount(val) {
+  const n = Number(val);
+  return isFinite(n) && n > 0 ? n : 0;
+}
+
+// What the target counts: 'attendance' (bodies in seats) or 'yes' (Yes outcomes)
+const TARGET_TYPES = ['attendance', 'yes'];
+
+function normalizeTargetType(type) {
+  return TARGET_TYPES.includes(type) ? type : 'attendance';
+}
+
+// Expected show-ups from one group's registrations. A group with no history of its own
+// (e.g. an advisor whose past workshops had no spouses) falls back to the blended rates.
+function projectGroup(reg, confirmed, groupRates, rates) {
+  const own = groupRates.wsCount > 0;
+  const r = own || groupRates.fromBaseline ? groupRates : rates;
+  const useSplit = confirmed > 0 && r.confirmedShowRate > 0;
+  const expected = useSplit
+    ? confirmed * r.confirmedShowRate + (reg - confirmed) * r.unconfirmedShowRate
+    : reg * r.showRate;
+  return {
+    reg, confirmed, expected,
+    rate: reg > 0 ? expected / reg : r.showRate,
+    ownHistory: own,
+    fromBaseline: !own && !!groupRates.fromBaseline,
+    wsCount: groupRates.wsCount,
+  };
+}
+
+/*
+  computeForecast({
+    workshops,                       // advisor's workshop history
+    currentFeds, currentSps,         // registrations so far
+    confirmedFeds, confirmedSps,     // of which confirmed (clamped to registrations)
+    target,                          // goal, counted in targetType units
+    targetType,                      // optional 'attendance' (default) | 'yes'
+    asOf,                            // Date / ISO string / ms — "today" for recency weighting
+    weighting,                       // optional { strategy, halfLifeDays, lastN } (see WEIGHTING_STRATEGIES)
+    closeRule,                       // optional { mode: 'expected' | 'probability', confidence: 0.75 }
+    baseline,                        // optional { workshops, label, strength } — other advisors' pooled history,
+                                     // or { pool, own, label, strength } with indexBaselinePool() indexes
+  })
+  Inputs may be numbers or the raw strings kept in forecast inputs.
+*/
+function computeForecast(input) {
+  const ownRates = computeRecencyWeighted(input.workshops || [], input.asOf, input.weighting);
+  const baseline = input.baseline && (input.baseline.workshops || input.baseline.pool) ? input.baseline : null;
+  const baseRates = !baseline ? null : baseline.pool
+    ? pooledRatesAsOf(baseline.pool, input.asOf, baseline.own)
+    : computeBaselineRates(baseline.workshops, input.asOf);
+  const strength = baseline ? normalizeBaselineSettings({ strength: baseline.strength }).strength : 0;
+  const rates = baseRates && baseRates.wsCount > 0 ? shrinkRates(ownRates, baseRates, strength) : ownRates;
+  const ownShare = rates === ownRates ? 1 : ownRates.wsCount / (ownRates.wsCount + strength);
+  const { showRate, confirmedShowRate, unconfirmedShowRate, avgWalkins, minShowRate, maxShowRate, wsCount, historyCount } = rates;
+
+  const feds = toCount(input.currentFeds);
+  const sps = toCount(input.currentSps);
+  const confFeds = Math.min(toCount(input.confirmedFeds), feds);
+  const confSps = Math.min(toCount(input.confirmedSps), sps);
+  const totalReg = feds + sps;
+  const totalConfirmed = confFeds + confSps;
+  const totalUnconfirmed = totalReg - totalConfirmed;
+  const target = toCount(input.target);
+  const targetType = normalizeTargetType(input.targetType);
+  const { yesRate, yesWsCount } = rates;
+
+  // Feds and spouses are projected with their own rates, using the confirmed/unconfirmed
+  // split when confirmed numbers are provided; walk-ins are added once on top
+  const groups = {
+    fed: projectGroup(feds, confFeds, rates.groups.fed, rates),
+    sps: projectGroup(sps, confSps, rates.groups.sps, rates),
+  };
+  const registeredExpected = groups.fed.expected + groups.sps.expected;
+  let expectedAtt = 0;
+  let effectiveRate = showRate;
+  if (totalReg > 0) {
+    expectedAtt = registeredExpected + avgWalkins;
+    effectiveRate = registeredExpected / totalReg;
+  }
+  const closeRule = normalizeCloseRule(input.closeRule);
+  // With no registrations yet, closeAt still needs a rate to project with
+  const rateForCloseAt = totalReg > 0 ? effectiveRate : showRate;
+  // A Yes target is met once attendance reaches target ÷ yes rate
+  const attendanceTarget = targetType === 'yes' ? (yesRate > 0 ? target / yesRate : 0) : target;
+  const closeAt = closeRule.mode === 'probability'
+    ? probabilisticCloseAt(target, rateForCloseAt, rates, closeRule.confidence, targetType)
+    : (attendanceTarget > 0 && effectiveRate > 0 ? Math.ceil(Math.max(0, (attendanceTarget - avgWalkins) / effectiveRate)) : 0);
+  const shouldClose = totalReg > 0 && closeAt > 0 && totalReg >= closeAt;
+  const hasData = totalReg > 0 && target > 0;
+
+  const dist = attendanceDistribution(totalReg, effectiveRate, rates);
+  const intervalLow = Math.max(0, Math.round(dist.mean - Z_80 * dist.sd));
+  const intervalHigh = Math.round(dist.mean + Z_80 * dist.sd);
+  const yesDist = yesDistribution(dist, rates);
+  const targetDist = targetType === 'yes' ? yesDist : dist;
+
+  return {
+    feds, sps, confFeds, confSps, totalReg, totalConfirmed, totalUnconfirmed, target,
+    showRate, confirmedShowRate, unconfirmedShowRate, avgWalkins, minShowRate, maxShowRate, wsCount, historyCount,
+    effectiveRate, expectedAtt, closeAt, shouldClose, hasData,
+    groups,
+    ownShare,
+    baselineLabel: rates === ownRates ? '' : baseline.label || 'all advisors',
+    baselineWsCount: rates === ownRates ? 0 : baseRates.wsCount,
+    targetType, yesRate, yesWsCount,
+    expectedYes: expectedAtt * yesRate,
+    yesIntervalLow: Math.max(0, Math.round(yesDist.mean - Z_80 * yesDist.sd)),
+    yesIntervalHigh: Math.round(yesDist.mean + Z_80 * yesDist.sd),
+    // Registrations over (or under) closeAt; null when there is no close point to measure from
+    buffer: closeAt > 0 ? totalReg - closeAt : null,
+    attendanceSD: dist.sd,
+    intervalLow, intervalHigh,
+    probHitTarget: target > 0 && (targetType !== 'yes' || yesRate > 0) ? probabilityAtLeast(targetDist, target) : 0,
+    closeRule,
+    confidence: getConfidenceLevel(historyCount),
+    weighting: rates.weighting,
+    weightingLabel: describeWeighting(rates.weighting),
+  };
+}
+
+// --- Backtesting ---
+// Replays an advisor's history: each completed workshop is forecast using only the
+// workshops before it, fed that workshop's actual registrations at close, and compared
+// with what actually happened. A CLOSE call is right when actual attendance (or Yes count,
+// for a Yes target) reached the target; a KEEP OPEN call is right when it fell short.
+// Predicted/actual/error stay in headcount either way so advisors can be compared.
+function backtestWorkshops(workshops, opts) {
+  const target = toCount(opts && opts.target);
+  const weighting = opts && opts.weighting;
+  const closeRule = opts && opts.closeRule;
+  const targetType = normalizeTargetType(opts && opts.targetType);
+  const baseline = opts && opts.baseline;
+  const completed = workshops
+    .filter(ws => !ws.excluded && computeWorkshopStats(ws))
+    .sort((a, b) => a.workshopDate.localeCompare(b.workshopDate));
+
+  const points = [];
+  completed.forEach(ws => {
+    const r = computeForecast({
+      workshops: completed,
+      currentFeds: ws.totalFedsClose, currentSps: ws.totalSpsClose,
+      confirmedFeds: ws.totalFedConfirmed, confirmedSps: ws.totalSpsConfirmed,
+      target, targetType, asOf: ws.workshopDate, weighting, closeRule, baseline,
+    });
+    if (r.historyCount === 0) return; // nothing earlier to learn from
+    if (targetType === 'yes' && !(ws.totalYes > 0)) return; // no Yes result to judge the call by
+    const actual = ws.totalFedsAttended + ws.totalSpsAttended;
+    const reachedTarget = (targetType === 'yes' ? ws.totalYes : actual) >= target;
+    points.push({
+      workshopDate: ws.workshopDate,
+      totalReg: r.totalReg,
+      predicted: r.expectedAtt,
+      actual,
+      error: r.expectedAtt - actual,
+      closeAt: r.closeAt,
+      shouldClose: r.shouldClose,
+      reachedTarget,
+      correct: r.shouldClose === reachedTarget,
+      historyCount: r.historyCount,
+    });
+  });
+  return { points, summary: summarizeBacktest(points) };
+}
+
+function summarizeBacktest(points) {
+  const count = points.length;
+  if (count === 0) return { count: 0, mae: 0, bias: 0, hitRate: 0, hits: 0 };
+  const hits = points.filter(p => p.correct).length;
+  return {
+    count,
+    mae: points.reduce((sum, p) => sum + Math.abs(p.error), 0) / count,
+    bias: points.reduce((sum, p) => sum + p.error, 0) / count,
+    hitRate: hits / count,
+    hits,
+  };
+}
+
+// --- Decision Outcomes ---
+// A logged decision ({ decision: 'close'|'open', expectedAtt, target, targetType }) judged
+// against the workshop's actual results, by the same rule as the backtest: closing was the
+// right call if the target was reached, keeping open if it was not. Returns null until the
+// workshop has results (or, for a Yes target, a Yes count).
+function judgeDecision(decision, ws) {
+  if (!ws || !computeWorkshopStats(ws)) return null;
+  const targetType = normalizeTargetType(decision.targetType);
+  if (targetType === 'yes' && !(ws.totalYes > 0)) return null;
+  const actual = ws.totalFedsAttended + ws.totalSpsAttended;
+  const reachedTarget = (targetType === 'yes' ? ws.totalYes : actual) >= toCount(decision.target);
+  return {
+    workshopDate: ws.workshopDate,
+    actual,
+    actualYes: ws.totalYes || 0,
+    error: decision.expectedAtt - actual,
+    reachedTarget,
+    correct: (decision.decision === 'close') === reachedTarget,
+  };
+}
+
+// --- Registration Pace ---
+// Snapshots are { date, feds, sps } registration counts logged while a workshop is
+// upcoming; completed workshops keep theirs as `regSnapshots`. Past workshops' growth
+// curves (share of the final Reg @ Close reached d days out) project an upcoming
+// session's registrations at close. Without enough of them, the session's own recent
+// pace is extended in a straight line.
+const PACE_CURVE_MIN_WORKSHOPS = 2;
+const PACE_LINEAR_DAYS = 14;   // recent span the straight-line pace is measured over
+const DAY_MS = 86400000;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function normalizeSnapshots(snapshots) {
+  return (Array.isArray(snapshots) ? snapshots : [])
+    .filter(sn => sn && /^\d{4}-\d{2}-\d{2}$/.test(sn.date))
+    .map(sn => ({ date: sn.date, reg: toCount(sn.feds) + toCount(sn.sps) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Share of final registrations reached d days before the workshop, averaged over past
+// workshops whose snapshots reach back that far. curve[d] is null where none do.
+function registrationCurve(workshops, asOf) {
+  const paths = [];
+  workshops.forEach(ws => {
+    const finalReg = ws.totalFedsClose + ws.totalSpsClose;
+    if (ws.excluded || finalReg <= 0 || (asOf && ws.workshopDate >= asOf)) return;
+    const points = normalizeSnapshots(ws.regSnapshots)
+      .map(sn => ({ d: daysBetween(sn.date, ws.workshopDate), f: sn.reg / finalReg }))
+      .filter(pt => pt.d > 0)
+      .concat([{ d: 0, f: 1 }])
+      .sort((a, b) => b.d - a.d);
+    if (points.length > 1) paths.push(points);
+  });
+  if (paths.length < PACE_CURVE_MIN_WORKSHOPS) return null;
+
+  const maxD = Math.max(...paths.map(pts => pts[0].d));
+  const curve = [];
+  for (let d = 0; d <= maxD; d++) {
+    const fs = [];
+    paths.forEach(pts => {
+      if (d > pts[0].d) return;
+      for (let i = 0; i < pts.length - 1; i++) {
+        const a = pts[i], b = pts[i + 1];
+        if (d <= a.d && d >= b.d) {
+          fs.push(a.d === b.d ? b.f : a.f + (b.f - a.f) * (a.d - d) / (a.d - b.d));
+          break;
+        }
+      }
+    });
+    curve.push(fs.length ? fs.reduce((sum, f) => sum + f, 0) / fs.length : null);
+  }
+  return { curve, workshops: paths.length };
+}
+
+/*
+  projectRegistrations({
+    snapshots,      // the session's logged { date, feds, sps }
+    sessionDate,    // workshop date — registrations are projected to here
+    history,        // the advisor's past workshops (for regSnapshots growth curves)
+    closeAt,        // registrations needed to close (0 = none)
+    asOf,           // ISO date "today"
+  })
+  → { method: 'curve' | 'linear' | 'none', current, projectedAtClose, pacePerDay, crossDate, crossed, daysLeft }
+*/
+function projectRegistrations(input) {
+  const snaps = normalizeSnapshots(input.snapshots).filter(sn => !input.asOf || sn.date <= input.asOf);
+  const closeAt = toCount(input.closeAt);
+  const latest = snaps[snaps.length - 1];
+  const result = { method: 'none', current: latest ? latest.reg : 0, projectedAtClose: 0, pacePerDay: 0, crossDate: '', crossed: false, daysLeft: 0 };
+  if (!latest) return result;
+
+  result.daysLeft = Math.max(0, daysBetween(latest.date, input.sessionDate));
+  const firstAtClose = closeAt > 0 ? snaps.find(sn => sn.reg >= closeAt) : null;
+  if (firstAtClose) {
+    result.crossed = true;
+    result.crossDate = firstAtClose.date;
+  }
+
+  // Straight-line pace over the recent snapshots (also shown alongside a curve projection)
+  const recent = snaps.filter(sn => daysBetween(sn.date, latest.date) <= PACE_LINEAR_DAYS);
+  const span = recent.length > 1 ? daysBetween(recent[0].date, latest.date) : 0;
+  result.pacePerDay = span > 0 ? Math.max(0, (latest.reg - recent[0].reg) / span) : 0;
+
+  const model = registrationCurve(input.history || [], input.asOf || latest.date);
+  const fNow = model && model.curve[result.daysLeft];
+  if (fNow && fNow > 0) {
+    result.method = 'curve';
+    result.curveWorkshops = model.workshops;
+    result.projectedAtClose = latest.reg / fNow;
+    if (closeAt > 0 && !result.crossed) {
+      for (let d = result.daysLeft; d >= 0; d--) {
+        if (model.curve[d] !== null && latest.reg * model.curve[d] / fNow >= closeAt) {
+          result.crossDate = addDays(input.sessionDate, -d);
+          break;
+        }
+      }
+    }
+  } else if (span > 0) {
+    result.method = 'linear';
+    result.projectedAtClose = latest.reg + result.pacePerDay * result.daysLeft;
+    if (closeAt > 0 && !result.crossed && result.pacePerDay > 0) {
+      const days = Math.ceil((closeAt - latest.reg) / result.pacePerDay);
+      if (days <= result.daysLeft) result.crossDate = addDays(latest.date, days);
+    }
+  }
+  return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    computeWorkshopStats, computeRecencyWeighted, getConfidenceLevel, computeForecast,
+    WEIGHTING_STRATEGIES, DEFAULT_WEIGHTING, normalizeWeighting, describeWeighting,
+    backtestWorkshops, summarizeBacktest, judgeDecision,
+    DEFAULT_CLOSE_RULE, normalizeCloseRule, normalCdf, attendanceDistribution, probabilityAtLeast,
+    detectOutliers, TARGET_TYPES, normalizeTargetType, REGISTRANT_GROUPS,
+    TREND_METRICS, rollingMean, trendDirection, workshopTrends,
+    registrationCurve, projectRegistrations,
+    BASELINE_MODES, DEFAULT_BASELINE, normalizeBaselineSettings, computeBaselineRates, shrinkRates,
+    indexBaselinePool, pooledRatesAsOf,
+  };
+}
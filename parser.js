@@ -0,0 +1,650 @@
+// ============================================================
+// Workshop Trend Calculator - Spreadsheet parsing
+// Turns pasted/uploaded sheet text into advisor blocks and workshop records.
+// No DOM or chrome.* access, so it loads both in the popup and under Node (tests).
+// ============================================================
+
+// --- Date & Number Parsing ---
+function parseDate(val) {
+  if (!val) return '';
+  val = String(val).trim();
+  if (/^\d{1,4}(\.\d+)?$/.test(val)) return '';
+  if (val.includes('%')) return '';
+  let m = val.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2,'0')}-${m[2].padStart(2,'0')}`;
+  m = val.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}`;
+  if (/[\/\-]/.test(val) || /[a-zA-Z]/.test(val)) {
+    const d = new Date(val);
+    if (!isNaN(d.getTime()) && d.getFullYear() >= 2000) return d.toISOString().slice(0, 10);
+  }
+  return '';
+}
+
+function parseNum(val) {
+  if (!val || val === '') return 0;
+  const s = String(val).replace(/%/g, '').replace(/[^0-9.\-]/g, '');
+  const n = Number(s);
+  return isNaN(n) ? 0 : n;
+}
+
+// --- Label Matching ---
+const LABEL_MAP = [
+  { field: 'workshopDate',       patterns: [/^\s*date\s*$/i] },
+  { field: 'totalFedsClose',     patterns: [/feds?\s*@?\s*close/i, /feds\s*at\s*close/i] },
+  { field: 'totalSpsClose',      patterns: [/sps?\s*@?\s*close/i, /spouse.*close/i] },
+  { field: 'totalFedConfirmed',  patterns: [/confirmed?\s*fed/i, /fed.*confirmed/i] },
+  { field: 'totalSpsConfirmed',  patterns: [/confirmed?\s*sp/i, /spouse.*confirmed/i] },
+  { field: 'totalFedsAttended',  patterns: [/feds?\s*attended/i] },
+  { field: 'totalSpsAttended',   patterns: [/sps?\s*attended/i, /spouse.*attended/i] },
+  { field: 'totalWalkins',       patterns: [/walk\s*-?\s*in/i, /true\s*walk/i] },
+  { field: 'totalYes',           patterns: [/yes\s*report/i, /total\s*yes/i, /said\s*yes/i] },
+];
+
+// Row labels the user has mapped to fields (Settings → Row labels), e.g.
+// { totalFedsClose: ['Reg @ Close'] }. They are compared whole, ignoring case and
+// spacing, and win over the built-in patterns.
+let labelAliases = {};
+
+function labelKey(text) {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Keeps known fields only, with each alias trimmed and listed once. An alias claimed
+// by more than one field stays with the first (in LABEL_MAP order).
+function normalizeLabelAliases(aliases) {
+  const out = {};
+  const claimed = new Set();
+  const src = aliases && typeof aliases === 'object' ? aliases : {};
+  LABEL_MAP.forEach(({ field }) => {
+    const list = [];
+    (Array.isArray(src[field]) ? src[field] : []).forEach(raw => {
+      const alias = String(raw == null ? '' : raw).trim().replace(/\s+/g, ' ');
+      if (!alias || claimed.has(labelKey(alias))) return;
+      claimed.add(labelKey(alias));
+      list.push(alias);
+    });
+    if (list.length) out[field] = list;
+  });
+  return out;
+}
+
+// Aliases given to more than one field, as [{ alias, fields }]
+function labelAliasConflicts(aliases) {
+  const byKey = {};
+  Object.entries(aliases || {}).forEach(([field, list]) => {
+    (Array.isArray(list) ? list : []).forEach(a => {
+      const key = labelKey(a);
+      if (!key) return;
+      const entry = byKey[key] || (byKey[key] = { alias: String(a).trim(), fields: [] });
+      if (!entry.fields.includes(field)) entry.fields.push(field);
+    });
+  });
+  return Object.values(byKey).filter(entry => entry.fields.length > 1);
+}
+
+function setLabelAliases(aliases) {
+  labelAliases = normalizeLabelAliases(aliases);
+}
+
+// Which field a row label reads as and why: { field, source: 'alias' | 'built-in', rule }
+// where rule is the matching alias or pattern; null when the row would be ignored
+function resolveLabel(text) {
+  if (!text) return null;
+  const t = String(text).trim();
+  if (!t) return null;
+  const key = labelKey(t);
+  for (const [field, list] of Object.entries(labelAliases)) {
+    const alias = list.find(a => labelKey(a) === key);
+    if (alias) return { field, source: 'alias', rule: alias };
+  }
+  for (const entry of LABEL_MAP) {
+    for (const pat of entry.patterns) {
+      if (pat.test(t)) return { field: entry.field, source: 'built-in', rule: String(pat) };
+    }
+  }
+  return null;
+}
+
+// Rows the sheet works out from the others ("% Show", "% Yes", "Avg Attendance"): not
+// imported, and not worth a "not recognized" warning either
+const DERIVED_LABEL = /%|\b(avg|average|mean|rate|ratio|percent(age)?|pct)\b/i;
+
+function isDerivedRow(label, cells) {
+  const filled = cells.map(c => String(c).trim()).filter(Boolean);
+  return DERIVED_LABEL.test(label) || filled.every(c => /%$/.test(c));
+}
+
+function matchLabel(text) {
+  const resolved = resolveLabel(text);
+  return resolved ? resolved.field : null;
+}
+
+// --- Delimited Text (CSV / TSV) ---
+// Spreadsheet pastes are tab-separated; file exports may be comma- or semicolon-separated
+// with quoted fields ("Greenbelt, MD") and quoted newlines. Everything is normalized to
+// plain tab-separated lines before block detection.
+const IMPORT_DELIMITERS = ['\t', ',', ';'];
+
+function countDelimitersPerLine(text, delimiter, maxLines) {
+  const counts = [];
+  let count = 0, inQuotes = false;
+  for (let i = 0; i < text.length && counts.length < maxLines; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && ch === delimiter) {
+      count++;
+    } else if (!inQuotes && ch === '\n') {
+      counts.push(count);
+      count = 0;
+    }
+  }
+  if (counts.length < maxLines) counts.push(count);
+  return counts;
+}
+
+function detectDelimiter(text) {
+  // Tabs only ever come from a spreadsheet paste or a TSV export, so they always win.
+  // Between comma and semicolon, prefer the one present on the most lines — exports pad
+  // every row with delimiters, while stray commas (e.g. decimal "12,5") appear on only a few.
+  let best = '\t', bestLines = 0, bestTotal = 0;
+  for (const delimiter of IMPORT_DELIMITERS) {
+    const counts = countDelimitersPerLine(text, delimiter, 50);
+    const lines = counts.filter(c => c > 0).length;
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    if (delimiter === '\t' && lines > 0) return '\t';
+    if (lines > bestLines || (lines === bestLines && total > bestTotal)) {
+      best = delimiter;
+      bestLines = lines;
+      bestTotal = total;
+    }
+  }
+  return best;
+}
+
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function gridToTsv(rows) {
+  // Cells may contain quoted newlines/tabs — flatten them so each sheet row stays one line
+  return rows
+    .map(cols => cols.map(c => String(c == null ? '' : c).replace(/[\t\r\n]+/g, ' ')).join('\t'))
+    .join('\n');
+}
+
+function normalizeImportText(text) {
+  text = String(text).replace(/^\uFEFF/, '');
+  return gridToTsv(parseDelimited(text, detectDelimiter(text)));
+}
+
+// --- Split Multi-Advisor Paste ---
+function splitMultiAdvisorBlocks(text) {
+  const lines = text.split('\n');
+  const blocks = [];
+  let currentBlockLines = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const cols = line.split('\t');
+    const col0 = cols[0] ? cols[0].trim() : '';
+
+    // Detect advisor header: col A has an advisor code.
+    // Data rows start with empty col A (tab-indented), so col0 being non-empty is key.
+    // Codes vary widely: AVL, BBWI (SFA), DTRA WEST, ICE-ERO, 75AWB, USAICoE, etc.
+    // Strategy: col A is non-empty, starts with alphanumeric, is not a row label,
+    // is not a pure number/percentage, and is not a file header keyword.
+    const isAdvisorHeader =
+      col0 !== '' &&
+      /^[A-Za-z0-9]/.test(col0) &&
+      !matchLabel(col0) &&
+      !/^\d+(\.\d+)?%?$/.test(col0) &&
+      !/^(code|avg|tot|sum|count|note|#)$/i.test(col0) &&
+      !/^\*/.test(col0) &&
+      !/\b(date|open|close|day|fed|spouse|sp\b|attend|confirm|walk|yes|no\s*show|cancel|cnl|reg|scarcity|early|moved|reopen|avg|conf|total|note)\b/i.test(col0) &&
+      // Reject lines containing date-like patterns (e.g. "ReOp 44/12 4-9", "1/29 to 2/17")
+      !/\d+\/\d+/.test(col0) &&
+      // Reject lines with date-range connectors (e.g. "Cl 4-13 to refill 4-21")
+      !/\bto\b/i.test(col0) &&
+      // Reject section headers / notes (e.g. "Left Program / Changed Cities")
+      !/\b(left|program|changed|cities|refill)\b/i.test(col0);
+
+    if (isAdvisorHeader && currentBlockLines.length > 0) {
+      blocks.push(currentBlockLines.join('\n'));
+      currentBlockLines = [];
+    }
+
+    currentBlockLines.push(line);
+  }
+
+  if (currentBlockLines.length > 0) {
+    blocks.push(currentBlockLines.join('\n'));
+  }
+
+  return blocks;
+}
+
+// --- Parse Pasted Advisor Block ---
+function parsePastedAdvisorBlock(text) {
+  const lines = text.trim().split('\n').filter(l => l.trim());
+  if (lines.length === 0) throw new Error('No data found.');
+
+  // Step 1: Extract advisor code and location from the first line
+  // The first line should contain the advisor code in column A and location in column B
+  // e.g. "AVL\tGreenbelt, MD\t\t..." or the code might be alone
+  let advisorCode = '';
+  let location = '';
+
+  // Check first few lines for the advisor code line (row 1 in the sheet)
+  // Row 1 has the code + location, Row 2 starts with "Date" label
+  const firstCols = lines[0].split('\t');
+  
+  // Find which line has the "Date" label to determine where data starts
+  let dataStartLine = 0;
+  for (let i = 0; i < Math.min(lines.length, 5); i++) {
+    const cols = lines[i].split('\t');
+    // Check if any column in this row has a label we recognize
+    const hasLabel = cols.some(c => matchLabel(c));
+    if (hasLabel) {
+      dataStartLine = i;
+      break;
+    }
+  }
+
+  // Everything before the first label row is header info
+  if (dataStartLine > 0) {
+    // First line has the advisor code info
+    const headerCols = lines[0].split('\t');
+    // Find non-empty cells in the header
+    const nonEmpty = headerCols.filter(c => c.trim());
+    if (nonEmpty.length >= 1) {
+      advisorCode = nonEmpty[0].trim().toUpperCase();
+      if (nonEmpty.length >= 2) location = nonEmpty[1].trim();
+    }
+  } else {
+    // No separate header line — check if column A of the first data line has a code
+    // This handles cases where the code is in A1 and "Date" label is in B2
+    // Look at the first column of the first line
+    const col0 = firstCols[0].trim();
+    if (col0 && !matchLabel(col0)) {
+      advisorCode = col0.toUpperCase();
+      // Check if second column of first line is location (not a label)
+      if (firstCols.length > 1 && !matchLabel(firstCols[1]) && firstCols[1].trim()) {
+        location = firstCols[1].trim();
+      }
+    }
+  }
+
+  // Step 2: Parse the vertical data (labels in one column, workshops across)
+  const fieldData = {};
+  let labelColIdx = -1; // which column has the labels
+
+  // Detect label column index by scanning first data lines
+  for (let i = dataStartLine; i < lines.length; i++) {
+    const cols = lines[i].split('\t');
+    for (let c = 0; c < Math.min(cols.length, 3); c++) {
+      if (matchLabel(cols[c])) {
+        labelColIdx = c;
+        break;
+      }
+    }
+    if (labelColIdx >= 0) break;
+  }
+
+  if (labelColIdx < 0) {
+    throw new Error('Could not find row labels (Date, Total Feds @ Close, etc.) in the pasted data. Make sure you\'re copying the full stats block.');
+  }
+
+  // If no advisor code found yet, check column before the label column
+  if (!advisorCode && labelColIdx > 0) {
+    // Look for code in column A of the first line
+    const fc = lines[0].split('\t');
+    if (fc[0] && fc[0].trim() && !matchLabel(fc[0])) {
+      advisorCode = fc[0].trim().toUpperCase();
+    }
+  }
+
+  // Build field data from labeled rows. Rows with numbers under a label that reads as no
+  // field are left out but reported, so a renamed row can be mapped in Settings → Row labels
+  // (percentage and average rows are expected and left out quietly).
+  const unknownLabels = [];
+  for (let i = dataStartLine; i < lines.length; i++) {
+    const cols = lines[i].split('\t');
+    const label = cols[labelColIdx];
+    const field = matchLabel(label);
+    if (!field) {
+      const text = String(label || '').trim();
+      const values = cols.slice(labelColIdx + 1);
+      if (text && !unknownLabels.includes(text) && values.some(c => c.trim()) && !isDerivedRow(text, values)) {
+        unknownLabels.push(text);
+      }
+      continue;
+    }
+    // Values are all columns after the label column
+    fieldData[field] = cols.slice(labelColIdx + 1);
+  }
+
+  if (!fieldData.workshopDate) {
+    throw new Error('Could not find a "Date" row. Make sure you\'re copying from row 2 (Date) downward.');
+  }
+
+  // Step 3: Find columns with valid dates (skip count/average columns)
+  const dateRow = fieldData.workshopDate;
+  const workshopCols = [];
+  for (let i = 0; i < dateRow.length; i++) {
+    if (parseDate(dateRow[i])) workshopCols.push(i);
+  }
+
+  if (workshopCols.length === 0) {
+    throw new Error('No valid workshop dates found. Make sure to include the date columns when copying.');
+  }
+
+  // Step 4: Build workshop objects
+  const workshops = [];
+  const incomplete = [];   // dates of workshops without results
+  const scheduled = [];    // the same workshops, with whatever numbers the sheet has so far
+  for (const ci of workshopCols) {
+    const ws = {
+      workshopDate: parseDate(fieldData.workshopDate[ci]),
+      totalFedsClose: fieldData.totalFedsClose ? parseNum(fieldData.totalFedsClose[ci]) : 0,
+      totalSpsClose: fieldData.totalSpsClose ? parseNum(fieldData.totalSpsClose[ci]) : 0,
+      totalFedConfirmed: fieldData.totalFedConfirmed ? parseNum(fieldData.totalFedConfirmed[ci]) : 0,
+      totalSpsConfirmed: fieldData.totalSpsConfirmed ? parseNum(fieldData.totalSpsConfirmed[ci]) : 0,
+      totalFedsAttended: fieldData.totalFedsAttended ? parseNum(fieldData.totalFedsAttended[ci]) : 0,
+      totalSpsAttended: fieldData.totalSpsAttended ? parseNum(fieldData.totalSpsAttended[ci]) : 0,
+      totalWalkins: fieldData.totalWalkins ? parseNum(fieldData.totalWalkins[ci]) : 0,
+      totalYes: fieldData.totalYes ? parseNum(fieldData.totalYes[ci]) : 0,
+    };
+    // Only keep completed workshops
+    if (ws.totalFedsClose > 0 && ws.totalFedsAttended > 0) {
+      workshops.push(ws);
+    } else {
+      incomplete.push(ws.workshopDate);
+      scheduled.push(ws);
+    }
+  }
+
+  if (!advisorCode) {
+    throw new Error('Could not detect an advisor code. Make sure to include column A (with the code like AVL, CFG, etc.) when copying.');
+  }
+
+  return { code: advisorCode, location: normalizeLocation(location), workshops, incomplete, scheduled, unknownLabels };
+}
+
+// --- Locations ---
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+const STATE_BY_NAME = {};
+Object.entries(US_STATES).forEach(([abbr, name]) => { STATE_BY_NAME[name.toLowerCase()] = abbr; });
+
+// "MD", "md." or "Maryland" → "MD"; '' when the text is not a state
+function stateAbbr(text) {
+  const t = String(text || '').trim().replace(/\.$/, '');
+  if (/^[A-Za-z]{2}$/.test(t)) return US_STATES[t.toUpperCase()] ? t.toUpperCase() : '';
+  return STATE_BY_NAME[t.toLowerCase()] || '';
+}
+
+// Words that make the text before a state a venue or an online session rather than a city,
+// and words a city named after a state starts with ("Fort Washington", "Port Washington")
+const NOT_CITY_WORDS = new Set([
+  'zoom', 'webinar', 'online', 'virtual', 'teams', 'remote', 'room', 'suite', 'ste', 'building', 'bldg',
+  'office', 'hall', 'center', 'centre', 'library', 'campus', 'base', 'hq',
+]);
+const CITY_PREFIX_WORDS = new Set([
+  'fort', 'ft', 'port', 'mount', 'mt', 'lake', 'new', 'north', 'south', 'east', 'west',
+  'saint', 'st', 'san', 'santa', 'glen', 'point', 'cape', 'camp',
+]);
+
+// One to three plain words, none of them a venue word, not ending on a city prefix
+function looksLikeCity(text) {
+  const words = text.toLowerCase().replace(/\./g, '').split(' ');
+  return words.length <= 3 && words.every(w => /^[a-z][a-z'-]*$/.test(w) && !NOT_CITY_WORDS.has(w)) &&
+    !CITY_PREFIX_WORDS.has(words[words.length - 1]);
+}
+
+// "Greenbelt MD", "Greenbelt,  Md" and "greenbelt, maryland" all become "Greenbelt, MD":
+// whitespace collapsed, a trailing state name or two-letter code turned into an upper-case
+// abbreviation after ", ", and an all-lower or all-upper city title-cased. Without a comma
+// the state is only taken when what comes before it reads as a city, so "Fort Washington"
+// and "Zoom Webinar OK" only have their spacing tidied, like anything without a state.
+function normalizeLocation(location) {
+  const tidy = String(location || '').replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ').replace(/[,\s]+$/, '').trim();
+  const words = tidy.split(' ');
+  let city = '', state = '';
+  // Longest state name first ("West Virginia" before "Virginia"), never the whole location
+  for (let n = Math.min(3, words.length - 1); n >= 1 && !state; n--) {
+    const abbr = stateAbbr(words.slice(-n).join(' '));
+    const rest = words.slice(0, -n).join(' ');
+    if (abbr && (rest.endsWith(',') || looksLikeCity(rest))) {
+      state = abbr;
+      city = rest.replace(/,$/, '');
+    }
+  }
+  if (!state) return tidy;
+  if (city === city.toLowerCase() || city === city.toUpperCase()) {
+    city = city.toLowerCase().replace(/(^|[\s\-'])([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase());
+  }
+  return `${city}, ${state}`;
+}
+
+// "Greenbelt, MD" → "MD". Only a trailing two-letter code counts as a state; anything
+// else (e.g. "Online") has none and returns ''.
+function stateFromLocation(location) {
+  const m = String(location || '').trim().match(/,\s*([A-Za-z]{2})\.?$/);
+  return m ? m[1].toUpperCase() : '';
+}
+
+// Normalized, lowercased and with punctuation dropped, so "Greenbelt,MD", "greenbelt md."
+// and "Greenbelt, Maryland" compare equal
+function locationMatchKey(location) {
+  return normalizeLocation(location).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Dice coefficient over character pairs of the match keys: 1 for the same place, near 0
+// for unrelated ones. Tolerates typos and missing state codes ("Greenbelt" vs "Greenbelt, MD").
+function locationSimilarity(a, b) {
+  const ka = locationMatchKey(a), kb = locationMatchKey(b);
+  if (ka === kb) return 1;
+  if (ka.length < 2 || kb.length < 2) return 0;
+  const pairs = str => {
+    const out = {};
+    for (let i = 0; i < str.length - 1; i++) {
+      const pair = str.slice(i, i + 2);
+      out[pair] = (out[pair] || 0) + 1;
+    }
+    return out;
+  };
+  const pa = pairs(ka), pb = pairs(kb);
+  let shared = 0;
+  Object.keys(pa).forEach(pair => { shared += Math.min(pa[pair], pb[pair] || 0); });
+  return (2 * shared) / (ka.length - 1 + kb.length - 1);
+}
+
+const LOCATION_MATCH_MIN = 0.6;
+
+// Finds which known advisor ({ key, code, location }) a pasted code + location means.
+// `how` is 'exact', 'format' (same place written differently), 'only' (the code's only
+// location), 'similar' (closest location by spelling) or null when it cannot tell;
+// `candidates` are the advisors with that code, closest location first. A location in
+// another state is never 'only' or 'similar' ("Richmond, VA" is not "Richmond, KY").
+function matchAdvisor(code, location, known) {
+  const wanted = String(code || '').trim().toUpperCase();
+  const state = stateFromLocation(normalizeLocation(location));
+  const sameState = c => {
+    const other = stateFromLocation(normalizeLocation(c.adv.location));
+    return !state || !other || other === state;
+  };
+  const candidates = known
+    .filter(adv => adv.code.toUpperCase() === wanted)
+    .map(adv => ({ adv, score: locationSimilarity(adv.location, location) }))
+    .sort((a, b) => b.score - a.score);
+  const result = how => ({ key: how ? candidates[0].adv.key : null, how, candidates: candidates.map(c => c.adv.key) });
+
+  if (candidates.length === 0) return result(null);
+  const exact = candidates.find(c => c.adv.location === String(location || '').trim());
+  if (exact) return { key: exact.adv.key, how: 'exact', candidates: candidates.map(c => c.adv.key) };
+  if (candidates[0].score === 1) return result('format');
+  if (!sameState(candidates[0])) return result(null);
+  if (candidates.length === 1) return result('only');
+  if (candidates[0].score >= LOCATION_MATCH_MIN && candidates[0].score > candidates[1].score) return result('similar');
+  return result(null);
+}
+
+// --- Bulk Registrations ---
+// One row per advisor: code, location, registered feds, registered SPs, confirmed feds,
+// confirmed SPs, target — tab, comma or semicolon separated. Blank cells are left blank
+// (the current input is kept); a header row is skipped.
+const BULK_REGISTRATION_FIELDS = ['currentFeds', 'currentSps', 'confirmedFeds', 'confirmedSps', 'target'];
+
+function parseRegistrationRows(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [], errors = [];
+  let firstLine = true;
+  parseDelimited(text, detectDelimiter(text)).forEach((raw, idx) => {
+    let cells = raw.map(c => c.trim());
+    if (cells.every(c => c === '')) return;
+    const line = idx + 1;
+    const isFirstLine = firstLine;
+    firstLine = false;
+    // An unquoted "Greenbelt, MD" in comma-separated text splits in two; fold it back.
+    // Rows with trailing columns left off are too short to tell by count, so a state in
+    // the first number column gives the split away too.
+    if (cells.length > BULK_REGISTRATION_FIELDS.length + 2) {
+      const tail = cells.slice(-BULK_REGISTRATION_FIELDS.length);
+      cells = [cells[0], cells.slice(1, -BULK_REGISTRATION_FIELDS.length).join(', ')].concat(tail);
+    } else if (cells.length > 3 && stateAbbr(cells[2])) {
+      cells = [cells[0], `${cells[1]}, ${cells[2]}`].concat(cells.slice(3));
+    }
+    const code = cells[0].toUpperCase();
+    const values = {};
+    const bad = [];
+    BULK_REGISTRATION_FIELDS.forEach((field, i) => {
+      const cell = (cells[i + 2] || '').replace(/,/g, '');
+      const n = Number(cell);
+      if (cell === '') values[field] = '';
+      else if (Number.isInteger(n) && n >= 0) values[field] = String(n);
+      else bad.push(cell);
+    });
+
+    if (bad.length > 0) {
+      // Only a first line with no numbers at all is a header; "2o" among numbers is a typo
+      if (isFirstLine && BULK_REGISTRATION_FIELDS.every(field => !values[field])) return;
+      errors.push(`Line ${line} (${code || '?'}): "${bad[0]}" is not a whole number of 0 or more.`);
+    } else if (!code) {
+      errors.push(`Line ${line}: missing advisor code.`);
+    } else if (BULK_REGISTRATION_FIELDS.every(field => values[field] === '')) {
+      errors.push(`Line ${line} (${code}): no numbers to update.`);
+    } else {
+      rows.push({ line, code, location: cells[1] || '', values });
+    }
+  });
+  return { rows, errors };
+}
+
+// --- Manual Entry ---
+// Fields a user can type in for one workshop (Stored Data → edit / add row)
+const WORKSHOP_INPUT_FIELDS = [
+  { field: 'totalFedsClose',     label: 'Feds @ close' },
+  { field: 'totalSpsClose',      label: 'SPs @ close' },
+  { field: 'totalFedConfirmed',  label: 'Feds confirmed' },
+  { field: 'totalSpsConfirmed',  label: 'SPs confirmed' },
+  { field: 'totalFedsAttended',  label: 'Feds attended' },
+  { field: 'totalSpsAttended',   label: 'SPs attended' },
+  { field: 'totalWalkins',       label: 'Walk-ins' },
+  { field: 'totalYes',           label: 'Total Yes' },
+];
+
+// Validates raw form values ({ workshopDate, totalFedsClose, ... } as strings) for a
+// completed workshop. `base` is the record being edited (fields not on the form, like
+// the exclude flag or note, carry over); `otherDates` are the advisor's other dates.
+// Returns { workshop, errors } — workshop is null when there are errors.
+function validateWorkshopInput(values, { asOf, base, otherDates } = {}) {
+  const errors = [];
+  const workshop = Object.assign({ totalYes: 0 }, base || {});
+
+  const workshopDate = parseDate(values.workshopDate);
+  if (!workshopDate) {
+    errors.push('Enter a valid date (e.g. 1/5/2025 or 2025-01-05).');
+  } else if (asOf && workshopDate > asOf) {
+    errors.push('Date is in the future — only completed workshops can be entered.');
+  } else if ((otherDates || []).includes(workshopDate)) {
+    errors.push(`There is already a workshop on ${workshopDate}.`);
+  }
+  workshop.workshopDate = workshopDate;
+
+  WORKSHOP_INPUT_FIELDS.forEach(({ field, label }) => {
+    const raw = String(values[field] == null ? '' : values[field]).trim();
+    const n = raw === '' ? 0 : Number(raw);
+    if (!Number.isInteger(n) || n < 0) {
+      errors.push(`${label} must be a whole number of 0 or more.`);
+    }
+    workshop[field] = n;
+  });
+
+  if (errors.length === 0) {
+    if (workshop.totalFedsClose <= 0) errors.push('Feds @ close must be at least 1.');
+    if (workshop.totalFedsAttended <= 0) errors.push('Feds attended must be at least 1 for a completed workshop.');
+    if (workshop.totalFedConfirmed > workshop.totalFedsClose) errors.push('Feds confirmed cannot exceed feds @ close.');
+    if (workshop.totalSpsConfirmed > workshop.totalSpsClose) errors.push('SPs confirmed cannot exceed SPs @ close.');
+    if (workshop.totalWalkins > workshop.totalFedsAttended + workshop.totalSpsAttended) {
+      errors.push('Walk-ins cannot exceed total attended.');
+    }
+    if (workshop.totalYes > workshop.totalFedsAttended + workshop.totalSpsAttended) {
+      errors.push('Total Yes cannot exceed total attended.');
+    }
+  }
+
+  return { workshop: errors.length ? null : workshop, errors };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseDate, parseNum, LABEL_MAP, matchLabel, resolveLabel,
+    normalizeLabelAliases, labelAliasConflicts, setLabelAliases,
+    detectDelimiter, parseDelimited, gridToTsv, normalizeImportText,
+    splitMultiAdvisorBlocks, parsePastedAdvisorBlock,
+    WORKSHOP_INPUT_FIELDS, validateWorkshopInput, stateFromLocation,
+    US_STATES, normalizeLocation, locationMatchKey, locationSimilarity, matchAdvisor, BULK_REGISTRATION_FIELDS, parseRegistrationRows,
+  };
+}
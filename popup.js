@@ -1,6 +1,8 @@
 // ============================================================
 // Workshop Trend Calculator - Chrome Extension
 // Keyed by advisor code + location (same code, different city = separate record)
+// Popup UI and storage. Parsing lives in parser.js, forecast math in forecast.js, record
+// merging in records.js.
 // ============================================================
 
 /*
@@ -10,29 +12,90 @@
       "AVL|Greenbelt, MD": {
         code: "AVL",
         location: "Greenbelt, MD",
-        workshops: [ ... ]
+        workshops: [ { workshopDate: "2025-01-05", totalFedsClose: 20, ..., excluded: true, note: "Snowstorm",
+                       regSnapshots: [ ... ] }, ... ],   // snapshots carried over from the completed session
+        lastUpdated: 1700000000000,    // any change: import, edit, rename, merge
+        lastImported: 1700000000000,   // last sheet import that touched it (stale filter)
+        weightingStrategy: "exponential"   // optional per-advisor override of settings.weighting.strategy
       },
       "AVL|Richmond, VA": { ... },
       ...
     },
     forecasts: {
-      "AVL|Greenbelt, MD": { currentFeds: "", currentSps: "", target: "35" },
+      "AVL|Greenbelt, MD": {
+        currentFeds: "", currentSps: "", confirmedFeds: "", confirmedSps: "", target: "35", targetType: "attendance",
+        sessions: {   // upcoming dated workshops from the sheet, each with its own inputs (same fields as above)
+          "2025-07-12": { currentFeds: "28", currentSps: "4", confirmedFeds: "", confirmedSps: "", target: "35", targetType: "attendance",
+                          snapshots: [ { date: "2025-06-30", feds: 22, sps: 3 }, ... ],   // registration pace log
+                          closedAt: 1700000000000 }   // set by "Mark closed"
+        }
+      },
       ...
+    },
+    settings: {
+      weighting: { strategy: "inverse-days", halfLifeDays: 90, lastN: 5 },
+      closeRule: { mode: "expected", confidence: 0.75 },  // or "probability": P(attendance ≥ target) ≥ confidence
+      baseline: { mode: "overall", strength: 3 },         // or "state" / "off" — see baselineFor
+      labelAliases: { totalFedsClose: ["Reg @ Close"], ... }  // own row labels, checked before LABEL_MAP (parser.js)
     }
   }
+
+  Alongside these, `currentForecastSort` and `forecastView` ({ decision, confidence, staleDays })
+  remember the Forecast tab's sort and filters, `changeHistory` is the undo journal (see recordChange), `decisionLog` the
+  record of copied and closed calls (see logDecision), `schemaVersion` records which migrations have run (see MIGRATIONS) and
+  `unmigratedRecords` keeps anything a migration could not upgrade.
+
+  Backups (Stored Data → Export Backup) wrap the same keys:
+  { format: "workshop-trend-calculator-backup", version: 1, exportedAt: "<ISO>",
+    data: { advisors, forecasts, currentForecastSort, forecastView, settings, decisionLog, schemaVersion } }
 */
 
 let advisors = {};
 let forecasts = {};
 let currentForecastSort = 'az';
+let forecastView = defaultForecastView();
+let settings = defaultSettings();
+
+
+// Forecast tab filters: decision of the card's headline session, confidence level, and
+// advisors not updated (imported or edited) in at least staleDays days (0 = off)
+const FORECAST_DECISION_FILTERS = [
+  ['all', 'All decisions'], ['close', 'CLOSE'], ['open', 'KEEP OPEN'], ['none', 'No inputs yet'],
+];
+const FORECAST_CONFIDENCE_FILTERS = [
+  ['all', 'Any confidence'], ['High', 'High'], ['Good', 'Good'], ['Moderate', 'Moderate'], ['Low', 'Low'],
+];
+const FORECAST_STALE_DAYS = [0, 7, 14, 30, 60, 90];
+
+function defaultForecastView() {
+  return { decision: 'all', confidence: 'all', staleDays: 0 };
+}
+
+function normalizeForecastView(view) {
+  const v = Object.assign(defaultForecastView(), isPlainObject(view) ? view : {});
+  return {
+    decision: FORECAST_DECISION_FILTERS.some(([id]) => id === v.decision) ? v.decision : 'all',
+    confidence: FORECAST_CONFIDENCE_FILTERS.some(([id]) => id === v.confidence) ? v.confidence : 'all',
+    staleDays: FORECAST_STALE_DAYS.includes(Number(v.staleDays)) ? Number(v.staleDays) : 0,
+  };
+}
 
-function advisorKey(code, location) {
-  return code + '|' + (location || '').trim();
+function defaultSettings() {
+  return {
+    weighting: Object.assign({}, DEFAULT_WEIGHTING),
+    closeRule: Object.assign({}, DEFAULT_CLOSE_RULE),
+    baseline: Object.assign({}, DEFAULT_BASELINE),
+    labelAliases: {},
+  };
 }
 
-function parseAdvisorKey(key) {
-  const idx = key.indexOf('|');
-  return { code: key.substring(0, idx), location: key.substring(idx + 1) };
+function loadSettings(stored) {
+  const merged = Object.assign(defaultSettings(), isPlainObject(stored) ? stored : {});
+  merged.weighting = normalizeWeighting(merged.weighting);
+  merged.closeRule = normalizeCloseRule(merged.closeRule);
+  merged.baseline = normalizeBaselineSettings(merged.baseline);
+  merged.labelAliases = normalizeLabelAliases(merged.labelAliases);
+  return merged;
 }
 
 function safeId(key) {
@@ -41,326 +104,58 @@ function safeId(key) {
 
 // --- Storage ---
 function saveData() {
-  chrome.storage.local.set({ advisors, forecasts, currentForecastSort });
+  baselinePools = null;
+  forecastResults = {};
+  if (storageReadOnly) return;
+  chrome.storage.local.set({ advisors, forecasts, currentForecastSort, forecastView, settings, schemaVersion: SCHEMA_VERSION });
 }
 
-function loadData(cb) {
-  chrome.storage.local.get(['advisors', 'forecasts', 'currentForecastSort'], (result) => {
-    if (result.advisors) advisors = result.advisors;
-    if (result.forecasts) forecasts = result.forecasts;
-    if (result.currentForecastSort) currentForecastSort = result.currentForecastSort;
-    cb();
-  });
-}
-
-// --- Date & Number Parsing ---
-function parseDate(val) {
-  if (!val) return '';
-  val = String(val).trim();
-  if (/^\d{1,4}(\.\d+)?$/.test(val)) return '';
-  if (val.includes('%')) return '';
-  let m = val.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-  if (m) return `${m[3]}-${m[1].padStart(2,'0')}-${m[2].padStart(2,'0')}`;
-  m = val.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
-  if (m) return `${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}`;
-  if (/[\/\-]/.test(val) || /[a-zA-Z]/.test(val)) {
-    const d = new Date(val);
-    if (!isNaN(d.getTime()) && d.getFullYear() >= 2000) return d.toISOString().slice(0, 10);
-  }
-  return '';
-}
-
-function parseNum(val) {
-  if (!val || val === '') return 0;
-  const s = String(val).replace(/%/g, '').replace(/[^0-9.\-]/g, '');
-  const n = Number(s);
-  return isNaN(n) ? 0 : n;
-}
-
-// --- Label Matching ---
-const LABEL_MAP = [
-  { field: 'workshopDate',       patterns: [/^\s*date\s*$/i] },
-  { field: 'totalFedsClose',     patterns: [/feds?\s*@?\s*close/i, /feds\s*at\s*close/i] },
-  { field: 'totalSpsClose',      patterns: [/sps?\s*@?\s*close/i, /spouse.*close/i] },
-  { field: 'totalFedConfirmed',  patterns: [/confirmed?\s*fed/i, /fed.*confirmed/i] },
-  { field: 'totalSpsConfirmed',  patterns: [/confirmed?\s*sp/i, /spouse.*confirmed/i] },
-  { field: 'totalFedsAttended',  patterns: [/feds?\s*attended/i] },
-  { field: 'totalSpsAttended',   patterns: [/sps?\s*attended/i, /spouse.*attended/i] },
-  { field: 'totalWalkins',       patterns: [/walk\s*-?\s*in/i, /true\s*walk/i] },
-  { field: 'totalYes',           patterns: [/yes\s*report/i, /total\s*yes/i, /said\s*yes/i] },
-];
-
-function matchLabel(text) {
-  if (!text) return null;
-  const t = String(text).trim();
-  for (const entry of LABEL_MAP) {
-    for (const pat of entry.patterns) {
-      if (pat.test(t)) return entry.field;
-    }
-  }
-  return null;
-}
-
-// --- Split Multi-Advisor Paste ---
-function splitMultiAdvisorBlocks(text) {
-  const lines = text.split('\n');
-  const blocks = [];
-  let currentBlockLines = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const cols = line.split('\t');
-    const col0 = cols[0] ? cols[0].trim() : '';
-
-    // Detect advisor header: col A has an advisor code.
-    // Data rows start with empty col A (tab-indented), so col0 being non-empty is key.
-    // Codes vary widely: AVL, BBWI (SFA), DTRA WEST, ICE-ERO, 75AWB, USAICoE, etc.
-    // Strategy: col A is non-empty, starts with alphanumeric, is not a row label,
-    // is not a pure number/percentage, and is not a file header keyword.
-    const isAdvisorHeader =
-      col0 !== '' &&
-      /^[A-Za-z0-9]/.test(col0) &&
-      !matchLabel(col0) &&
-      !/^\d+(\.\d+)?%?$/.test(col0) &&
-      !/^(code|avg|tot|sum|count|note|#)$/i.test(col0) &&
-      !/^\*/.test(col0) &&
-      !/\b(date|open|close|day|fed|spouse|sp\b|attend|confirm|walk|yes|no\s*show|cancel|cnl|reg|scarcity|early|moved|reopen|avg|conf|total|note)\b/i.test(col0) &&
-      // Reject lines containing date-like patterns (e.g. "ReOp 44/12 4-9", "1/29 to 2/17")
-      !/\d+\/\d+/.test(col0) &&
-      // Reject lines with date-range connectors (e.g. "Cl 4-13 to refill 4-21")
-      !/\bto\b/i.test(col0) &&
-      // Reject section headers / notes (e.g. "Left Program / Changed Cities")
-      !/\b(left|program|changed|cities|refill)\b/i.test(col0);
-
-    if (isAdvisorHeader && currentBlockLines.length > 0) {
-      blocks.push(currentBlockLines.join('\n'));
-      currentBlockLines = [];
-    }
-
-    currentBlockLines.push(line);
-  }
-
-  if (currentBlockLines.length > 0) {
-    blocks.push(currentBlockLines.join('\n'));
-  }
-
-  return blocks;
-}
-
-// --- Parse Pasted Advisor Block ---
-function parsePastedAdvisorBlock(text) {
-  const lines = text.trim().split('\n').filter(l => l.trim());
-  if (lines.length === 0) throw new Error('No data found.');
-
-  // Step 1: Extract advisor code and location from the first line
-  // The first line should contain the advisor code in column A and location in column B
-  // e.g. "AVL\tGreenbelt, MD\t\t..." or the code might be alone
-  let advisorCode = '';
-  let location = '';
-
-  // Check first few lines for the advisor code line (row 1 in the sheet)
-  // Row 1 has the code + location, Row 2 starts with "Date" label
-  const firstCols = lines[0].split('\t');
-  
-  // Find which line has the "Date" label to determine where data starts
-  let dataStartLine = 0;
-  for (let i = 0; i < Math.min(lines.length, 5); i++) {
-    const cols = lines[i].split('\t');
-    // Check if any column in this row has a label we recognize
-    const hasLabel = cols.some(c => matchLabel(c));
-    if (hasLabel) {
-      dataStartLine = i;
-      break;
-    }
-  }
-
-  // Everything before the first label row is header info
-  if (dataStartLine > 0) {
-    // First line has the advisor code info
-    const headerCols = lines[0].split('\t');
-    // Find non-empty cells in the header
-    const nonEmpty = headerCols.filter(c => c.trim());
-    if (nonEmpty.length >= 1) {
-      advisorCode = nonEmpty[0].trim().toUpperCase();
-      if (nonEmpty.length >= 2) location = nonEmpty[1].trim();
-    }
-  } else {
-    // No separate header line — check if column A of the first data line has a code
-    // This handles cases where the code is in A1 and "Date" label is in B2
-    // Look at the first column of the first line
-    const col0 = firstCols[0].trim();
-    if (col0 && !matchLabel(col0)) {
-      advisorCode = col0.toUpperCase();
-      // Check if second column of first line is location (not a label)
-      if (firstCols.length > 1 && !matchLabel(firstCols[1]) && firstCols[1].trim()) {
-        location = firstCols[1].trim();
-      }
-    }
-  }
-
-  // Step 2: Parse the vertical data (labels in one column, workshops across)
-  const fieldData = {};
-  let labelColIdx = -1; // which column has the labels
-
-  // Detect label column index by scanning first data lines
-  for (let i = dataStartLine; i < lines.length; i++) {
-    const cols = lines[i].split('\t');
-    for (let c = 0; c < Math.min(cols.length, 3); c++) {
-      if (matchLabel(cols[c])) {
-        labelColIdx = c;
-        break;
-      }
-    }
-    if (labelColIdx >= 0) break;
-  }
-
-  if (labelColIdx < 0) {
-    throw new Error('Could not find row labels (Date, Total Feds @ Close, etc.) in the pasted data. Make sure you\'re copying the full stats block.');
-  }
-
-  // If no advisor code found yet, check column before the label column
-  if (!advisorCode && labelColIdx > 0) {
-    // Look for code in column A of the first line
-    const fc = lines[0].split('\t');
-    if (fc[0] && fc[0].trim() && !matchLabel(fc[0])) {
-      advisorCode = fc[0].trim().toUpperCase();
-    }
-  }
-
-  // Build field data from labeled rows
-  for (let i = dataStartLine; i < lines.length; i++) {
-    const cols = lines[i].split('\t');
-    const label = cols[labelColIdx];
-    const field = matchLabel(label);
-    if (!field) continue;
-    // Values are all columns after the label column
-    fieldData[field] = cols.slice(labelColIdx + 1);
-  }
-
-  if (!fieldData.workshopDate) {
-    throw new Error('Could not find a "Date" row. Make sure you\'re copying from row 2 (Date) downward.');
-  }
-
-  // Step 3: Find columns with valid dates (skip count/average columns)
-  const dateRow = fieldData.workshopDate;
-  const workshopCols = [];
-  for (let i = 0; i < dateRow.length; i++) {
-    if (parseDate(dateRow[i])) workshopCols.push(i);
-  }
-
-  if (workshopCols.length === 0) {
-    throw new Error('No valid workshop dates found. Make sure to include the date columns when copying.');
-  }
-
-  // Step 4: Build workshop objects
-  const workshops = [];
-  for (const ci of workshopCols) {
-    const ws = {
-      workshopDate: parseDate(fieldData.workshopDate[ci]),
-      totalFedsClose: fieldData.totalFedsClose ? parseNum(fieldData.totalFedsClose[ci]) : 0,
-      totalSpsClose: fieldData.totalSpsClose ? parseNum(fieldData.totalSpsClose[ci]) : 0,
-      totalFedConfirmed: fieldData.totalFedConfirmed ? parseNum(fieldData.totalFedConfirmed[ci]) : 0,
-      totalSpsConfirmed: fieldData.totalSpsConfirmed ? parseNum(fieldData.totalSpsConfirmed[ci]) : 0,
-      totalFedsAttended: fieldData.totalFedsAttended ? parseNum(fieldData.totalFedsAttended[ci]) : 0,
-      totalSpsAttended: fieldData.totalSpsAttended ? parseNum(fieldData.totalSpsAttended[ci]) : 0,
-      totalWalkins: fieldData.totalWalkins ? parseNum(fieldData.totalWalkins[ci]) : 0,
-      totalYes: fieldData.totalYes ? parseNum(fieldData.totalYes[ci]) : 0,
-    };
-    // Only keep completed workshops
-    if (ws.totalFedsClose > 0 && ws.totalFedsAttended > 0) {
-      workshops.push(ws);
-    }
-  }
-
-  if (workshops.length === 0) {
-    throw new Error('No completed workshops found (all rows had 0 attendance — they may be future workshops).');
-  }
-
-  if (!advisorCode) {
-    throw new Error('Could not detect an advisor code. Make sure to include column A (with the code like AVL, CFG, etc.) when copying.');
-  }
-
-  return { code: advisorCode, location, workshops };
+// Like the journal, the decision log is written only when it changes
+function saveDecisionLog() {
+  if (storageReadOnly) return;
+  chrome.storage.local.set({ decisionLog });
 }
 
-// --- Calculations ---
-function computeWorkshopStats(ws) {
-  const totalRegClose = ws.totalFedsClose + ws.totalSpsClose;
-  const totalConfirmed = ws.totalFedConfirmed + (ws.totalSpsConfirmed || 0);
-  const totalAttended = ws.totalFedsAttended + ws.totalSpsAttended;
-  if (totalRegClose === 0) return null;
-
-  const registeredShowUp = Math.max(0, totalAttended - ws.totalWalkins);
-  const unconfirmedCount = totalRegClose - totalConfirmed;
-  const confirmationRate = totalConfirmed > 0 ? totalConfirmed / totalRegClose : 0;
-
-  // Estimate separate show rates for confirmed vs unconfirmed
-  // Assumes confirmed attendees show preferentially (higher rate)
-  let confirmedShowRate = 0, unconfirmedShowRate = 0;
-  if (totalConfirmed > 0) {
-    confirmedShowRate = Math.min(1.0, registeredShowUp / totalConfirmed);
-    const confirmedWhoShowed = totalConfirmed * confirmedShowRate;
-    const unconfirmedWhoShowed = Math.max(0, registeredShowUp - confirmedWhoShowed);
-    unconfirmedShowRate = unconfirmedCount > 0 ? unconfirmedWhoShowed / unconfirmedCount : 0;
-  }
-
-  const effectiveShowRate = totalRegClose > 0 ? registeredShowUp / totalRegClose : 0;
-
-  return { totalRegClose, totalConfirmed, totalAttended, confirmationRate, confirmedShowRate, unconfirmedShowRate, effectiveShowRate, walkins: ws.totalWalkins };
+// The journal is written only when an entry is added (see recordChange), not on every save
+function saveHistory() {
+  if (storageReadOnly) return;
+  chrome.storage.local.set({ changeHistory });
 }
 
-function computeRecencyWeighted(workshopList) {
-  const today = new Date();
-  const today_ms = today.getTime();
-  let srNum = 0, srDen = 0, wkNum = 0, wkDen = 0;
-  let csrNum = 0, csrDen = 0, usrNum = 0, usrDen = 0;
-  let minSR = Infinity, maxSR = -Infinity;
-  let wsCount = 0;
+// Set when storage holds data from a newer schema than this version knows: it is shown
+// but never written back, which would stamp it with the older schemaVersion and make the
+// migrations run again over data they have already upgraded
+let storageReadOnly = false;
 
-  workshopList.forEach(ws => {
-    const stats = computeWorkshopStats(ws);
-    if (!stats) return;
-    const wsDate = new Date(ws.workshopDate);
-    if (wsDate >= today) return;
-    const days = Math.floor((today_ms - wsDate.getTime()) / 86400000) + 1;
-    const w = 1 / days;
-    if (!isNaN(stats.effectiveShowRate) && isFinite(stats.effectiveShowRate)) {
-      srNum += stats.effectiveShowRate * w;
-      srDen += w;
-      minSR = Math.min(minSR, stats.effectiveShowRate);
-      maxSR = Math.max(maxSR, stats.effectiveShowRate);
-    }
-    // Track confirmed and unconfirmed show rates separately
-    if (stats.totalConfirmed > 0) {
-      csrNum += stats.confirmedShowRate * w;
-      csrDen += w;
-      if (!isNaN(stats.unconfirmedShowRate) && isFinite(stats.unconfirmedShowRate)) {
-        usrNum += stats.unconfirmedShowRate * w;
-        usrDen += w;
-      }
+function loadData(cb) {
+  chrome.storage.local.get(['advisors', 'forecasts', 'currentForecastSort', 'forecastView', 'settings', 'changeHistory', 'decisionLog', 'schemaVersion', 'unmigratedRecords'], (result) => {
+    const storedVersion = result.schemaVersion || 0;
+    const migrated = migrateStoredData({
+      advisors: result.advisors || {},
+      forecasts: result.forecasts || {},
+      currentForecastSort: result.currentForecastSort,
+      decisionLog: Array.isArray(result.decisionLog) ? result.decisionLog : [],
+    }, storedVersion);
+
+    advisors = migrated.data.advisors;
+    forecasts = migrated.data.forecasts;
+    if (migrated.data.currentForecastSort) currentForecastSort = migrated.data.currentForecastSort;
+    forecastView = normalizeForecastView(result.forecastView);
+    if (Array.isArray(result.changeHistory)) changeHistory = result.changeHistory;
+    if (Array.isArray(migrated.data.decisionLog)) decisionLog = migrated.data.decisionLog;
+    settings = loadSettings(result.settings);
+    setLabelAliases(settings.labelAliases);
+
+    storageReadOnly = storedVersion > SCHEMA_VERSION;
+    if (storedVersion < SCHEMA_VERSION) {
+      // Records that could not be upgraded are parked rather than thrown away
+      const unmigratedRecords = (result.unmigratedRecords || []).concat(migrated.problems);
+      chrome.storage.local.set({ unmigratedRecords });
+      saveData();
+      saveDecisionLog();
     }
-    wkNum += stats.walkins * w;
-    wkDen += w;
-    wsCount++;
+    cb(migrated);
   });
-
-  return {
-    showRate: srDen > 0 ? srNum / srDen : 0,
-    confirmedShowRate: csrDen > 0 ? csrNum / csrDen : 0,
-    unconfirmedShowRate: usrDen > 0 ? usrNum / usrDen : 0,
-    avgWalkins: wkDen > 0 ? wkNum / wkDen : 0,
-    minShowRate: minSR === Infinity ? 0 : minSR,
-    maxShowRate: maxSR === -Infinity ? 0 : maxSR,
-    wsCount,
-  };
-}
-
-// --- Confidence Level ---
-function getConfidenceLevel(count) {
-  if (count >= 10) return { label: 'High', cls: 'conf-high' };
-  if (count >= 6) return { label: 'Good', cls: 'conf-good' };
-  if (count >= 3) return { label: 'Moderate', cls: 'conf-mod' };
-  return { label: 'Low', cls: 'conf-low' };
 }
 
 // --- UI ---
@@ -368,8 +163,21 @@ function esc(str) {
   return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-function showMsg(text, isError, duration) {
-  const el = document.getElementById('paste-msg');
+// Keep expanded cards open across re-renders: call before replacing the container's
+// HTML and call the returned function after. toggleIdFor maps a card body's id to the
+// id of its ▶ toggle.
+function keepExpanded(container, bodySelector, toggleIdFor) {
+  const ids = Array.from(container.querySelectorAll(`${bodySelector}.show`)).map(el => el.id);
+  return () => ids.forEach(id => {
+    const body = document.getElementById(id);
+    const toggle = document.getElementById(toggleIdFor(id));
+    if (body) body.classList.add('show');
+    if (toggle) toggle.classList.add('expanded');
+  });
+}
+
+function showMsg(text, isError, duration, targetId) {
+  const el = document.getElementById(targetId || 'paste-msg');
   el.className = isError ? 'msg msg-err' : 'msg msg-ok';
   el.innerHTML = text;
   duration = duration || (isError ? 10000 : 6000);
@@ -378,6 +186,18 @@ function showMsg(text, isError, duration) {
 
 function getSortedForecastKeys() {
   const keys = Object.keys(advisors);
+  // Sorts on forecast numbers use each card's headline session; cards that have no
+  // number to sort by (no inputs, or no reachable close point) go last, A → Z
+  const byForecast = (value) => {
+    const values = {};
+    keys.forEach(key => { values[key] = value(forecastFor(key, headlineSession(key))); });
+    return keys.sort((a, b) => {
+      if (values[a] === null || values[b] === null) {
+        return (values[a] === null) - (values[b] === null) || a.localeCompare(b);
+      }
+      return values[a] - values[b] || a.localeCompare(b);
+    });
+  };
   switch (currentForecastSort) {
     case 'az':
       return keys.sort((a, b) => a.localeCompare(b));
@@ -385,31 +205,494 @@ function getSortedForecastKeys() {
       return keys.sort((a, b) => b.localeCompare(a));
     case 'updated':
       return keys.sort((a, b) => (advisors[b].lastUpdated || 0) - (advisors[a].lastUpdated || 0));
+    case 'buffer':
+      return byForecast(r => (r.hasData && r.closeAt > 0 ? -r.buffer : null));
+    case 'threshold':
+      return byForecast(r => (r.hasData && r.closeAt > 0 ? Math.abs(r.buffer) : null));
+    case 'expected':
+      return byForecast(r => (r.hasData ? -r.expectedAtt : null));
     default:
       return keys.sort();
   }
 }
 
-function applyForecastSearch() {
+function forecastSearchQuery() {
   const searchInput = document.getElementById('forecast-search');
-  if (!searchInput) return;
-  const query = searchInput.value.trim().toLowerCase();
+  return searchInput ? searchInput.value.trim().toLowerCase() : '';
+}
+
+function matchesForecastSearch(key, query) {
+  if (!query) return true;
+  const adv = advisors[key];
+  return adv.code.toLowerCase().includes(query) || adv.location.toLowerCase().includes(query);
+}
+
+// Staleness is about the sheet: renames, merges and hand edits bump lastUpdated but leave
+// lastImported alone
+function daysSinceImport(key) {
+  const imported = advisors[key].lastImported || 0;
+  return imported ? Math.floor((Date.now() - imported) / 86400000) : Infinity;
+}
+
+// What the filters look at for one advisor: the headline session's decision and confidence
+function forecastFilterFacts(key) {
+  const r = forecastFor(key, headlineSession(key));
+  return {
+    decision: r.hasData ? (r.shouldClose ? 'close' : 'open') : 'none',
+    confidence: r.confidence.label,
+    daysSinceImport: daysSinceImport(key),
+  };
+}
+
+function passesForecastView(facts, view) {
+  return (view.decision === 'all' || facts.decision === view.decision) &&
+    (view.confidence === 'all' || facts.confidence === view.confidence) &&
+    (!view.staleDays || facts.daysSinceImport >= view.staleDays);
+}
+
+// Whether an advisor is shown on the Forecast tab (shared by the cards and the report)
+function forecastVisible(key) {
+  return matchesForecastSearch(key, forecastSearchQuery()) && passesForecastView(forecastFilterFacts(key), forecastView);
+}
+
+function renderForecastFilters(factsByKey) {
+  const query = forecastSearchQuery();
+  const searched = Object.keys(factsByKey).filter(key => matchesForecastSearch(key, query));
+  // Each option counts what it would show with the other filters as they are
+  const count = (filter, value) => searched.filter(key =>
+    passesForecastView(factsByKey[key], Object.assign({}, forecastView, { [filter]: value }))).length;
+  const options = (filter, choices) => choices.map(([id, label]) =>
+    `<option value="${id}" ${forecastView[filter] === id ? 'selected' : ''}>${esc(label)} (${count(filter, id)})</option>`).join('');
+
+  document.getElementById('filter-decision').innerHTML = options('decision', FORECAST_DECISION_FILTERS);
+  document.getElementById('filter-confidence').innerHTML = options('confidence', FORECAST_CONFIDENCE_FILTERS);
+  document.getElementById('filter-stale').innerHTML = options('staleDays',
+    FORECAST_STALE_DAYS.map(days => [days, days ? `Not imported in ${days}+ days` : 'Any import date']));
+}
+
+// Filters are applied on render and when they change, not while typing into a card, so a
+// card doesn't vanish mid-edit when its decision flips
+function applyForecastFilters() {
   const rows = document.querySelectorAll('#forecast-rows .forecast-row');
+  const factsByKey = {};
+  Object.keys(advisors).forEach(key => { factsByKey[key] = forecastFilterFacts(key); });
+  const query = forecastSearchQuery();
+  let shown = 0;
   rows.forEach(row => {
-    if (!query) {
-      row.classList.remove('search-hidden');
-      return;
-    }
-    const code = row.dataset.code || '';
-    const location = row.dataset.location || '';
-    const matches = code.includes(query) || location.includes(query);
-    row.classList.toggle('search-hidden', !matches);
+    const key = row.dataset.key;
+    const visible = !!factsByKey[key] && matchesForecastSearch(key, query) && passesForecastView(factsByKey[key], forecastView);
+    row.classList.toggle('search-hidden', !visible);
+    if (visible) shown++;
   });
+  renderForecastFilters(factsByKey);
+  const total = Object.keys(advisors).length;
+  document.getElementById('forecast-shown').textContent = shown < total ? `Showing ${shown} of ${total}` : '';
+  document.getElementById('forecast-none-shown').style.display = total > 0 && shown === 0 ? 'block' : 'none';
+  if (document.getElementById('report-panel').style.display !== 'none') renderReportPreview();
 }
 
 function renderAll() {
   renderForecast();
   renderStoredData();
+  renderHistory();
+  renderSettings();
+  renderAccuracy();
+  renderDecisionLog();
+}
+
+// Global weighting settings, with the advisor's own strategy (if any) swapped in
+function weightingFor(key) {
+  const adv = advisors[key];
+  const override = adv && WEIGHTING_STRATEGIES[adv.weightingStrategy] ? adv.weightingStrategy : null;
+  return override ? Object.assign({}, settings.weighting, { strategy: override }) : settings.weighting;
+}
+
+// Date-indexed pools (indexBaselinePool) for everyone, each state and each advisor,
+// built on first use and dropped by saveData — every change to stored workshops is
+// saved — so a render indexes the history once instead of once per forecast
+let baselinePools = null;
+
+function getBaselinePools() {
+  if (baselinePools) return baselinePools;
+  const byState = {};
+  const own = {};
+  Object.keys(advisors).forEach(key => {
+    const state = stateFromLocation(advisors[key].location);
+    if (state) (byState[state] || (byState[state] = [])).push(key);
+  });
+  const index = keys => {
+    const workshops = [].concat(...keys.map(k => advisors[k].workshops)).filter(ws => !ws.excluded);
+    return { pool: indexBaselinePool(workshops), size: workshops.length };
+  };
+  Object.keys(advisors).forEach(key => { own[key] = index([key]); });
+  baselinePools = { all: index(Object.keys(advisors)), states: {}, own };
+  Object.entries(byState).forEach(([state, keys]) => { baselinePools.states[state] = index(keys); });
+  return baselinePools;
+}
+
+// Pooled history from the other advisors that a low-data advisor is shrunk toward:
+// the same state when it has enough workshops, otherwise everyone. null when off.
+function baselineFor(key) {
+  const mode = settings.baseline.mode;
+  if (mode === 'off' || !advisors[key]) return null;
+  const pools = getBaselinePools();
+  const own = pools.own[key];
+
+  if (mode === 'state') {
+    const state = stateFromLocation(advisors[key].location);
+    const sameState = state ? pools.states[state] : null;
+    if (sameState && sameState.size - own.size >= BASELINE_MIN_WORKSHOPS) {
+      return { pool: sameState.pool, own: own.pool, label: `${state} advisors`, strength: settings.baseline.strength };
+    }
+  }
+  return { pool: pools.all.pool, own: own.pool, label: 'all advisors', strength: settings.baseline.strength };
+}
+
+// --- Upcoming Sessions ---
+// An advisor's upcoming dated workshops each get their own inputs in
+// forecasts[key].sessions; with none scheduled the card uses the advisor-level inputs.
+function sessionDates(key) {
+  const fc = forecasts[key];
+  return fc && fc.sessions ? Object.keys(fc.sessions).sort() : [];
+}
+
+// The session the card's header and border reflect: the earliest one, or '' for none
+function headlineSession(key) {
+  return sessionDates(key)[0] || '';
+}
+
+function forecastInputsFor(key, session) {
+  const fc = forecasts[key] || defaultForecast();
+  return session ? (fc.sessions && fc.sessions[session]) || defaultForecastInputs() : fc;
+}
+
+function daysUntil(date) {
+  return Math.round((Date.parse(date) - Date.parse(todayIso())) / 86400000);
+}
+
+function formatSessionDate(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function sessionWhenText(date) {
+  const days = daysUntil(date);
+  if (days === 0) return 'today';
+  if (days > 0) return `in ${days} day${days !== 1 ? 's' : ''}`;
+  return `${-days} day${days !== -1 ? 's' : ''} ago — awaiting results`;
+}
+
+// Inputs for a newly scheduled session: the advisor's target, plus any registration
+// counts the sheet already has for that date
+function newSessionInputs(key, ws) {
+  const fc = forecasts[key] || defaultForecast();
+  const count = v => (v > 0 ? String(v) : '');
+  return Object.assign(defaultForecastInputs(), {
+    currentFeds: count(ws.totalFedsClose),
+    currentSps: count(ws.totalSpsClose),
+    confirmedFeds: count(ws.totalFedConfirmed),
+    confirmedSps: count(ws.totalSpsConfirmed),
+    target: fc.target || defaultForecastInputs().target,
+    targetType: normalizeTargetType(fc.targetType),
+    snapshots: ws.totalFedsClose + ws.totalSpsClose > 0
+      ? [{ date: todayIso(), feds: ws.totalFedsClose, sps: ws.totalSpsClose }]
+      : [],
+  });
+}
+
+// Results arrived for a session's date: drop the session, keeping its registration log
+// on the completed workshop so future projections can learn from its growth curve
+function completeSession(key, date) {
+  const fc = forecasts[key];
+  const session = fc && fc.sessions && fc.sessions[date];
+  if (!session) return;
+  const ws = advisors[key] && advisors[key].workshops.find(w => w.workshopDate === date);
+  if (ws && Array.isArray(session.snapshots) && session.snapshots.length) ws.regSnapshots = session.snapshots;
+  delete fc.sessions[date];
+}
+
+// --- Registration Pace ---
+// Each session keeps a log of dated registration counts. Editing a session's counts logs
+// them for today automatically; earlier days can be typed in from the log.
+function logSnapshot(key, session, date, feds, sps) {
+  const inputs = forecasts[key] && forecasts[key].sessions[session];
+  if (!inputs || !parseDate(date)) return false;
+  const snapshots = Array.isArray(inputs.snapshots) ? inputs.snapshots : (inputs.snapshots = []);
+  const entry = { date: parseDate(date), feds: toCount(feds), sps: toCount(sps) };
+  const idx = snapshots.findIndex(sn => sn.date === entry.date);
+  if (idx >= 0) snapshots[idx] = entry;
+  else snapshots.push(entry);
+  snapshots.sort((a, b) => a.date.localeCompare(b.date));
+  return true;
+}
+
+function paceFor(key, session, r) {
+  const inputs = forecastInputsFor(key, session);
+  return projectRegistrations({
+    snapshots: inputs.snapshots, sessionDate: session, history: advisors[key].workshops,
+    closeAt: r.closeAt, asOf: todayIso(),
+  });
+}
+
+function paceSummaryText(p, r) {
+  if (p.method === 'none') {
+    return p.current > 0
+      ? 'Log registrations on a few more days to project the count at close — they are recorded automatically whenever you update this session\'s counts.'
+      : 'No registrations logged yet.';
+  }
+  const basis = p.method === 'curve'
+    ? `from ${p.curveWorkshops} past workshops' growth`
+    : `at the recent pace of +${p.pacePerDay.toFixed(1)}/day`;
+  const parts = [`Projected at close: <strong>~${Math.round(p.projectedAtClose)}</strong> registered (${basis})`];
+  if (r.closeAt > 0) {
+    if (p.crossed) parts.push(`passed Close At ${r.closeAt} on ${esc(formatSessionDate(p.crossDate))}`);
+    else if (p.crossDate) parts.push(`likely to reach Close At ${r.closeAt} around <strong>${esc(formatSessionDate(p.crossDate))}</strong>`);
+    else parts.push(`not expected to reach Close At ${r.closeAt} before the workshop`);
+  }
+  return parts.join(' · ');
+}
+
+function sessionSnapshots(key, session) {
+  const inputs = forecastInputsFor(key, session);
+  return Array.isArray(inputs.snapshots) ? inputs.snapshots : [];
+}
+
+function renderPaceLog(key, session) {
+  const rows = sessionSnapshots(key, session).slice().reverse().map(sn => `<tr>
+      <td>${esc(sn.date)}</td><td>${esc(sn.feds)}</td><td>${esc(sn.sps)}</td><td>${esc(sn.feds + sn.sps)}</td>
+      <td class="row-actions"><button class="row-btn row-btn-danger" data-action="delete-snapshot" data-key="${esc(key)}" data-session="${esc(session)}" data-date="${esc(sn.date)}" title="Remove this entry">✕</button></td>
+    </tr>`).join('');
+  return rows ? `<table class="history-table pace-table">
+      <thead><tr><th>Date</th><th>Feds</th><th>Spouses</th><th>Total</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '';
+}
+
+function renderPaceSection(key, session, r, open) {
+  return `
+    <div class="pace-section" data-pace-session="${session}">
+      <div class="pace-summary">📈 ${paceSummaryText(paceFor(key, session, r), r)}</div>
+      <details class="pace-log" ${open ? 'open' : ''}>
+        <summary>Registration log (${sessionSnapshots(key, session).length})</summary>
+        <div class="pace-log-rows">${renderPaceLog(key, session)}</div>
+        <div class="pace-add">
+          <input type="date" data-snap="date" value="${todayIso()}" max="${session}">
+          <input type="number" min="0" step="1" data-snap="feds" placeholder="Feds">
+          <input type="number" min="0" step="1" data-snap="sps" placeholder="Spouses">
+          <button class="btn btn-sm btn-muted" data-action="log-snapshot" data-key="${esc(key)}" data-session="${session}">Log</button>
+          <span class="edit-errors"></span>
+        </div>
+      </details>
+    </div>`;
+}
+
+function refreshPaceSection(key, session) {
+  const row = document.querySelector(`.forecast-row[data-key="${CSS.escape(key)}"]`);
+  const el = row && row.querySelector(`.pace-section[data-pace-session="${CSS.escape(session)}"]`);
+  if (!el) return;
+  // Patched in place: the Add row's half-typed date and counts survive a keystroke elsewhere
+  const r = forecastFor(key, session);
+  el.querySelector('.pace-summary').innerHTML = `📈 ${paceSummaryText(paceFor(key, session, r), r)}`;
+  el.querySelector('.pace-log summary').textContent = `Registration log (${sessionSnapshots(key, session).length})`;
+  el.querySelector('.pace-log-rows').innerHTML = renderPaceLog(key, session);
+}
+
+// Results per advisor and session, shared by the cards, sorts, filters and report so a
+// search keystroke reuses what the last render computed. Dropped by saveData, like the
+// baseline pools, since every change to inputs, workshops or settings is saved.
+let forecastResults = {};
+
+function forecastFor(key, session) {
+  const id = `${key}\n${session || ''}`;
+  if (!forecastResults[id]) {
+    forecastResults[id] = computeForecast(Object.assign({
+      workshops: advisors[key].workshops, asOf: new Date(), weighting: weightingFor(key), closeRule: settings.closeRule,
+      baseline: baselineFor(key),
+    }, forecastInputsFor(key, session || '')));
+  }
+  return forecastResults[id];
+}
+
+function forecastMetaText(adv, r, key) {
+  const excluded = adv.workshops.filter(ws => ws.excluded).length;
+  const upcoming = key ? sessionDates(key).length : 0;
+  return `${adv.workshops.length} ws${excluded ? ` (${excluded} excl.)` : ''}${upcoming ? ` · ${upcoming} upcoming` : ''} · ${(r.showRate * 100).toFixed(1)}% show${r.confirmedShowRate > 0 ? ` · ${(r.confirmedShowRate * 100).toFixed(1)}% conf` : ''}${r.yesWsCount > 0 ? ` · ${(r.yesRate * 100).toFixed(0)}% yes` : ''}`;
+}
+
+function renderWeightingSelect(key) {
+  const adv = advisors[key];
+  const current = adv.weightingStrategy || '';
+  const globalLabel = WEIGHTING_STRATEGIES[settings.weighting.strategy].label;
+  const options = [`<option value="">Global default (${esc(globalLabel)})</option>`]
+    .concat(Object.entries(WEIGHTING_STRATEGIES).map(([id, st]) =>
+      `<option value="${id}" ${current === id ? 'selected' : ''}>${esc(st.label)}</option>`));
+  return `<select class="forecast-sort weighting-select" data-weighting-key="${esc(key)}">${options.join('')}</select>`;
+}
+
+function forecastResultText(adv, r, session) {
+  if (!r.hasData) return '';
+  const confirmInfo = r.totalConfirmed > 0 ? ` (${r.totalConfirmed} confirmed)` : '';
+  const yesInfo = r.targetType === 'yes' ? ` (target ${r.target} Yes)` : '';
+  return `${adv.code} ${adv.location}${session ? ` ${session}` : ''}: ${r.totalReg} reg${confirmInfo} is ${r.shouldClose ? 'at/above' : 'below'} ${r.closeAt}${yesInfo}: ${r.shouldClose ? 'CLOSE' : 'KEEP OPEN'}`;
+}
+
+function renderGroupBreakdown(r) {
+  const pct = v => `${(v * 100).toFixed(0)}%`;
+  const cells = [['fed', 'Feds'], ['sps', 'Spouses']].map(([g, label]) => {
+    const grp = r.groups[g];
+    const basis = grp.ownHistory ? `${grp.wsCount} ws` : grp.fromBaseline ? 'baseline rate — no history' : 'blended rate — no history';
+    return `<div class="group-cell">
+        <span class="group-label">${label}</span>
+        ${grp.reg} reg${grp.confirmed > 0 ? ` (${grp.confirmed} conf)` : ''} × ${pct(grp.rate)}
+        → <strong>${grp.expected.toFixed(1)}</strong>
+        <span class="group-basis">${basis}</span>
+      </div>`;
+  });
+  cells.push(`<div class="group-cell"><span class="group-label">Walk-ins</span> + <strong>${r.avgWalkins.toFixed(1)}</strong></div>`);
+  return `<div class="group-breakdown">${cells.join('')}</div>`;
+}
+
+function renderBaselineShare(r) {
+  const own = Math.round(r.ownShare * 100);
+  return `
+    <div class="baseline-share" title="Rates blended toward ${esc(r.baselineLabel)} (${r.baselineWsCount} workshops) until this advisor has more history">
+      <div class="baseline-bar"><span style="width: ${own}%"></span></div>
+      <span><strong>${own}%</strong> own history (${r.wsCount} ws) · <strong>${100 - own}%</strong> baseline: ${esc(r.baselineLabel)}</span>
+    </div>`;
+}
+
+function renderForecastResults(adv, r, session) {
+  const resultStr = forecastResultText(adv, r, session);
+  const key = advisorKey(adv.code, adv.location);
+  const closedAt = forecastInputsFor(key, session).closedAt;
+  const reachable = r.closeAt > 0;
+  const probRule = r.closeRule.mode === 'probability';
+  const chance = Math.round(r.probHitTarget * 100);
+  const byYes = r.targetType === 'yes';
+  const hasYes = r.yesRate > 0;
+  const yesRateText = hasYes ? `${(r.yesRate * 100).toFixed(0)}% yes rate` : 'no Yes data';
+  return `
+    <div class="forecast-results">
+      <div class="result-item">
+        <div class="rlabel">Currently Reg</div>
+        <div class="rvalue">${r.totalReg}</div>
+      </div>
+      <div class="result-item">
+        ${byYes
+          ? `<div class="rlabel">Expected Yes</div>
+             <div class="rvalue amber">${hasYes ? r.expectedYes.toFixed(1) : '—'}</div>
+             <div class="decision-note">${r.expectedAtt.toFixed(1)} att. · ${yesRateText}</div>`
+          : `<div class="rlabel">Expected Att.</div>
+             <div class="rvalue amber">${r.expectedAtt.toFixed(1)}</div>
+             <div class="decision-note">${hasYes ? `≈ ${r.expectedYes.toFixed(1)} Yes · ` : ''}${yesRateText}</div>`}
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Close At</div>
+        <div class="rvalue">${reachable ? r.closeAt : '—'}</div>
+        <div class="decision-note">${probRule
+          ? (reachable ? `≥${Math.round(r.closeRule.confidence * 100)}% chance` : `Out of reach at ${Math.round(r.closeRule.confidence * 100)}%`)
+          : 'expected = target'}</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Decision</div>
+        <span class="badge ${r.shouldClose ? 'badge-close' : 'badge-open'}">${r.shouldClose ? 'CLOSE' : 'KEEP OPEN'}</span>
+        <div class="decision-note">${reachable ? `${r.totalReg} ${r.shouldClose ? '≥' : '<'} ${r.closeAt}` : 'no close point'}</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Buffer</div>
+        ${reachable
+          ? `<div class="rvalue ${r.buffer >= 0 ? 'buf-over' : 'buf-under'}">${r.buffer >= 0 ? '+' + r.buffer + ' over' : 'Need ' + (-r.buffer)}</div>`
+          : '<div class="rvalue">—</div>'}
+      </div>
+      <div class="result-item">
+        <div class="rlabel">80% Range</div>
+        <div class="rvalue range">${byYes ? (hasYes ? `${r.yesIntervalLow} – ${r.yesIntervalHigh}` : '—') : `${r.intervalLow} – ${r.intervalHigh}`}</div>
+        ${byYes ? '<div class="decision-note">Yes outcomes</div>' : ''}
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Chance ≥ Target</div>
+        <div class="rvalue ${chance >= 75 ? 'buf-over' : chance >= 50 ? 'amber' : 'buf-under'}">${chance}%</div>
+        <div class="decision-note">of reaching ${r.target}${byYes ? ' Yes' : ''}</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Confidence</div>
+        <span class="conf-badge ${r.confidence.cls}">${r.confidence.label}</span>
+        <div class="decision-note">${r.historyCount} workshop${r.historyCount !== 1 ? 's' : ''}${r.wsCount < r.historyCount ? ` · ${r.wsCount} weighted` : ''}</div>
+      </div>
+    </div>
+    ${renderGroupBreakdown(r)}
+    ${r.baselineLabel ? renderBaselineShare(r) : ''}
+    <div class="weighting-note">Show rates weighted by: ${esc(r.weightingLabel)}${adv.weightingStrategy ? ' (advisor override)' : ''}</div>
+    <div class="result-actions">
+      ${resultStr ? `<button class="copy-btn" data-action="copy-result" data-key="${esc(key)}" data-session="${session}" data-text="${esc(resultStr)}">📋 Copy result</button>` : ''}
+      ${closedAt
+        ? `<span class="closed-note">🔒 Marked closed ${esc(new Date(closedAt).toLocaleDateString())}</span>`
+        : `<button class="copy-btn" data-action="mark-closed" data-key="${esc(key)}" data-session="${session}" title="Record that this workshop was closed, with the numbers behind the call">🔒 Mark closed</button>`}
+    </div>
+  `;
+}
+
+function renderForecastInputs(key, session, fc) {
+  const attrs = field => `data-key="${esc(key)}" data-session="${session}" data-field="${field}"`;
+  return `
+    <div class="forecast-inputs">
+      <div class="input-group group-reg">
+        <span class="input-group-label">Registered</span>
+        <div class="field">
+          <label>Feds</label>
+          <input type="number" min="0" step="1" value="${esc(fc.currentFeds)}" ${attrs('currentFeds')} placeholder="0">
+        </div>
+        <div class="field">
+          <label>Spouses</label>
+          <input type="number" min="0" step="1" value="${esc(fc.currentSps)}" ${attrs('currentSps')} placeholder="0">
+        </div>
+      </div>
+      <div class="input-group group-conf">
+        <span class="input-group-label">Confirmed</span>
+        <div class="field">
+          <label>Feds</label>
+          <input type="number" min="0" step="1" value="${esc(fc.confirmedFeds)}" ${attrs('confirmedFeds')} placeholder="0">
+        </div>
+        <div class="field">
+          <label>Spouses</label>
+          <input type="number" min="0" step="1" value="${esc(fc.confirmedSps)}" ${attrs('confirmedSps')} placeholder="0">
+        </div>
+      </div>
+      <div class="input-group group-target">
+        <span class="input-group-label">Target</span>
+        <div class="field">
+          <label>${fc.targetType === 'yes' ? 'Yes outcomes' : 'Attendance'}</label>
+          <input type="number" min="0" step="1" value="${esc(fc.target)}" ${attrs('target')} placeholder="35">
+        </div>
+        <div class="field">
+          <label>Counts</label>
+          <select class="forecast-sort" ${attrs('targetType')}>
+            <option value="attendance" ${fc.targetType !== 'yes' ? 'selected' : ''}>Attendance</option>
+            <option value="yes" ${fc.targetType === 'yes' ? 'selected' : ''}>Yes outcomes</option>
+          </select>
+        </div>
+      </div>
+    </div>`;
+}
+
+// One set of inputs and its result: an upcoming session, or the advisor-level inputs ('')
+function renderForecastSession(key, session) {
+  const adv = advisors[key];
+  const r = forecastFor(key, session);
+  const head = session ? `
+    <div class="session-head">
+      <span class="session-date">${esc(formatSessionDate(session))}</span>
+      <span class="session-when${daysUntil(session) < 0 ? ' overdue' : ''}">${sessionWhenText(session)}</span>
+      <span class="badge ${r.shouldClose ? 'badge-close' : 'badge-open'}" ${r.hasData ? '' : 'style="display: none"'}>${r.shouldClose ? 'CLOSE' : 'KEEP OPEN'}</span>
+      <button class="row-btn row-btn-danger" data-action="remove-session" data-key="${esc(key)}" data-session="${session}" title="Remove this session (e.g. cancelled)">✕</button>
+    </div>` : '';
+  return `
+    <div class="forecast-session${session ? ' dated' : ''}" data-session="${session}">
+      ${head}
+      ${renderForecastInputs(key, session, forecastInputsFor(key, session))}
+      ${session ? renderPaceSection(key, session, r, false) : ''}
+      ${r.hasData ? `<div class="forecast-results-wrap">${renderForecastResults(adv, r, session)}</div>` : ''}
+    </div>`;
 }
 
 function renderForecast() {
@@ -421,52 +704,29 @@ function renderForecast() {
   if (keys.length === 0) {
     warning.style.display = 'block';
     toolbar.style.display = 'none';
+    document.getElementById('forecast-filters').style.display = 'none';
+    document.getElementById('forecast-none-shown').style.display = 'none';
     container.innerHTML = '';
     return;
   }
   warning.style.display = 'none';
   toolbar.style.display = 'flex';
+  document.getElementById('forecast-filters').style.display = 'flex';
 
   // Ensure each advisor has a forecast entry
   keys.forEach(key => {
-    if (!forecasts[key]) forecasts[key] = { currentFeds: '', currentSps: '', confirmedFeds: '', confirmedSps: '', target: '35' };
+    if (!forecasts[key]) forecasts[key] = defaultForecast();
+    if (!forecasts[key].sessions) forecasts[key].sessions = {};
   });
 
+  const reopen = keepExpanded(container, '.forecast-card-body', id => 'ftoggle-' + id.replace(/^fbody-/, ''));
+
   container.innerHTML = keys.map(key => {
     const adv = advisors[key];
-    const fc = forecasts[key];
-    const { showRate, confirmedShowRate, unconfirmedShowRate, avgWalkins, minShowRate, maxShowRate, wsCount } = computeRecencyWeighted(adv.workshops);
-
-    const feds = Number(fc.currentFeds) || 0;
-    const sps = Number(fc.currentSps) || 0;
-    const confFeds = Math.min(Number(fc.confirmedFeds) || 0, feds);
-    const confSps = Math.min(Number(fc.confirmedSps) || 0, sps);
-    const totalReg = feds + sps;
-    const totalConfirmed = confFeds + confSps;
-    const totalUnconfirmed = totalReg - totalConfirmed;
-    const target = Number(fc.target) || 0;
-
-    // Use confirmed/unconfirmed split when confirmed numbers are provided
-    let expectedAtt = 0;
-    let effectiveRate = showRate;
-    if (totalReg > 0) {
-      if (totalConfirmed > 0 && confirmedShowRate > 0) {
-        expectedAtt = totalConfirmed * confirmedShowRate + totalUnconfirmed * unconfirmedShowRate + avgWalkins;
-        effectiveRate = (totalConfirmed * confirmedShowRate + totalUnconfirmed * unconfirmedShowRate) / totalReg;
-      } else {
-        expectedAtt = totalReg * showRate + avgWalkins;
-      }
-    }
-    const closeAt = target > 0 && effectiveRate > 0 ? Math.ceil(Math.max(0, (target - avgWalkins) / effectiveRate)) : 0;
-    const shouldClose = totalReg > 0 && closeAt > 0 && totalReg >= closeAt;
-    const hasData = totalReg > 0 && target > 0;
-
-    const borderClass = hasData ? (shouldClose ? 'close' : 'open') : '';
-    const confirmInfo = totalConfirmed > 0 ? ` (${totalConfirmed} confirmed)` : '';
-    const resultStr = hasData
-      ? `${adv.code} ${adv.location}: ${totalReg} reg${confirmInfo} is ${shouldClose ? 'at/above' : 'below'} ${closeAt}: ${shouldClose ? 'CLOSE' : 'KEEP OPEN'}`
-      : '';
+    const r = forecastFor(key, headlineSession(key));
+    const borderClass = r.hasData ? (r.shouldClose ? 'close' : 'open') : '';
     const sid = safeId(key);
+    const dates = sessionDates(key);
 
     return `
       <div class="forecast-row ${borderClass}" data-key="${esc(key)}"
@@ -475,225 +735,380 @@ function renderForecast() {
           <span class="advisor-card-toggle" id="ftoggle-${sid}">&#9654;</span>
           <span class="advisor-badge">${esc(adv.code)}</span>
           <span class="advisor-location">${esc(adv.location)}</span>
-          <span class="advisor-meta">${adv.workshops.length} ws · ${(showRate * 100).toFixed(1)}% show${confirmedShowRate > 0 ? ` · ${(confirmedShowRate * 100).toFixed(1)}% conf` : ''}</span>
+          <span class="advisor-meta">${forecastMetaText(adv, r, key)}</span>
+          ${renderSparkline(workshopTrends(adv.workshops).metrics.showRate, 'Show rate')}
         </div>
         <div class="forecast-card-body" id="fbody-${sid}">
-          <div class="forecast-inputs">
-            <div class="input-group group-reg">
-              <span class="input-group-label">Registered</span>
-              <div class="field">
-                <label>Feds</label>
-                <input type="number" min="0" step="1" value="${esc(fc.currentFeds)}" data-key="${esc(key)}" data-field="currentFeds" placeholder="0">
-              </div>
-              <div class="field">
-                <label>Spouses</label>
-                <input type="number" min="0" step="1" value="${esc(fc.currentSps)}" data-key="${esc(key)}" data-field="currentSps" placeholder="0">
-              </div>
-            </div>
-            <div class="input-group group-conf">
-              <span class="input-group-label">Confirmed</span>
-              <div class="field">
-                <label>Feds</label>
-                <input type="number" min="0" step="1" value="${esc(fc.confirmedFeds)}" data-key="${esc(key)}" data-field="confirmedFeds" placeholder="0">
-              </div>
-              <div class="field">
-                <label>Spouses</label>
-                <input type="number" min="0" step="1" value="${esc(fc.confirmedSps)}" data-key="${esc(key)}" data-field="confirmedSps" placeholder="0">
-              </div>
-            </div>
-            <div class="input-group group-target">
-              <span class="input-group-label">Target</span>
-              <div class="field">
-                <label>Attendance</label>
-                <input type="number" min="0" step="1" value="${esc(fc.target)}" data-key="${esc(key)}" data-field="target" placeholder="35">
-              </div>
-            </div>
-          </div>
-          ${hasData ? `
-          <div class="forecast-results-wrap">
-          <div class="forecast-results">
-            <div class="result-item">
-              <div class="rlabel">Currently Reg</div>
-              <div class="rvalue">${totalReg}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Expected Att.</div>
-              <div class="rvalue amber">${expectedAtt.toFixed(1)}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Close At</div>
-              <div class="rvalue">${closeAt}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Decision</div>
-              <span class="badge ${shouldClose ? 'badge-close' : 'badge-open'}">${shouldClose ? 'CLOSE' : 'KEEP OPEN'}</span>
-              <div class="decision-note">${totalReg} ${shouldClose ? '≥' : '<'} ${closeAt}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Buffer</div>
-              <div class="rvalue ${(totalReg - closeAt) >= 0 ? 'buf-over' : 'buf-under'}">${(totalReg - closeAt) >= 0 ? '+' + (totalReg - closeAt) + ' over' : 'Need ' + (closeAt - totalReg)}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Range (Worst–Best)</div>
-              <div class="rvalue range">${Math.round(totalReg * minShowRate + avgWalkins)} – ${Math.round(totalReg * maxShowRate + avgWalkins)}</div>
-            </div>
-            <div class="result-item">
-              <div class="rlabel">Confidence</div>
-              <span class="conf-badge ${getConfidenceLevel(wsCount).cls}">${getConfidenceLevel(wsCount).label}</span>
-              <div class="decision-note">${wsCount} workshop${wsCount !== 1 ? 's' : ''}</div>
-            </div>
+          <div class="forecast-options">
+            <label class="forecast-sort-label">Weighting:</label>
+            ${renderWeightingSelect(key)}
           </div>
-          ${resultStr ? `<button class="copy-btn" data-action="copy-result" data-text="${esc(resultStr)}">📋 Copy result</button>` : ''}
-          </div>
-          ` : ''}
+          ${(dates.length ? dates : ['']).map(session => renderForecastSession(key, session)).join('')}
         </div>
       </div>
     `;
   }).join('');
 
   // Bind input events — update results in-place without re-rendering inputs
-  container.querySelectorAll('input[data-key]').forEach(inp => {
-    inp.addEventListener('input', (e) => {
-      const key = e.target.dataset.key;
-      const field = e.target.dataset.field;
-      if (!forecasts[key]) forecasts[key] = { currentFeds: '', currentSps: '', confirmedFeds: '', confirmedSps: '', target: '35' };
-      // Clamp to 0 if negative
+  container.querySelectorAll('[data-key][data-field]').forEach(inp => {
+    inp.addEventListener(inp.tagName === 'SELECT' ? 'change' : 'input', (e) => {
+      const { key, field } = e.target.dataset;
+      const session = e.target.dataset.session || '';
+      if (!forecasts[key]) forecasts[key] = defaultForecast();
+      const inputs = session ? forecasts[key].sessions[session] : forecasts[key];
+      if (!inputs) return;
       let val = e.target.value;
-      if (val !== '' && Number(val) < 0) { val = '0'; e.target.value = '0'; }
-      forecasts[key][field] = val;
+      if (field === 'targetType') {
+        val = normalizeTargetType(val);
+        const label = e.target.closest('.group-target').querySelector('label');
+        if (label) label.textContent = val === 'yes' ? 'Yes outcomes' : 'Attendance';
+      } else if (val !== '' && Number(val) < 0) {
+        // Clamp to 0 if negative
+        val = '0';
+        e.target.value = '0';
+      }
+      inputs[field] = val;
+      if (session && (field === 'currentFeds' || field === 'currentSps')) {
+        logSnapshot(key, session, todayIso(), inputs.currentFeds, inputs.currentSps);
+      }
+      saveData();
+      updateForecastResults(key, session);
+      if (field === 'target' || field === 'targetType') renderAccuracy();
+    });
+  });
+
+  container.querySelectorAll('select[data-weighting-key]').forEach(sel => {
+    sel.addEventListener('change', (e) => {
+      const key = e.target.dataset.weightingKey;
+      if (!advisors[key]) return;
+      if (e.target.value) advisors[key].weightingStrategy = e.target.value;
+      else delete advisors[key].weightingStrategy;
       saveData();
-      updateForecastResults(key);
+      sessionDates(key).concat(['']).forEach(session => updateForecastResults(key, session));
+      renderAccuracy();
     });
   });
 
-  // Re-apply search filter after re-render
-  applyForecastSearch();
+  reopen();
+
+  // Re-apply search and filters after re-render
+  applyForecastFilters();
 }
 
-function updateForecastResults(key) {
+function updateForecastResults(key, session) {
   const adv = advisors[key];
   if (!adv) return;
-  const fc = forecasts[key] || { currentFeds: '', currentSps: '', confirmedFeds: '', confirmedSps: '', target: '35' };
-  const { showRate, confirmedShowRate, unconfirmedShowRate, avgWalkins, minShowRate, maxShowRate, wsCount } = computeRecencyWeighted(adv.workshops);
-
-  const feds = Number(fc.currentFeds) || 0;
-  const sps = Number(fc.currentSps) || 0;
-  const confFeds = Math.min(Number(fc.confirmedFeds) || 0, feds);
-  const confSps = Math.min(Number(fc.confirmedSps) || 0, sps);
-  const totalReg = feds + sps;
-  const totalConfirmed = confFeds + confSps;
-  const totalUnconfirmed = totalReg - totalConfirmed;
-  const target = Number(fc.target) || 0;
-
-  // Use confirmed/unconfirmed split when confirmed numbers are provided
-  let expectedAtt = 0;
-  let effectiveRate = showRate;
-  if (totalReg > 0) {
-    if (totalConfirmed > 0 && confirmedShowRate > 0) {
-      expectedAtt = totalConfirmed * confirmedShowRate + totalUnconfirmed * unconfirmedShowRate + avgWalkins;
-      effectiveRate = (totalConfirmed * confirmedShowRate + totalUnconfirmed * unconfirmedShowRate) / totalReg;
-    } else {
-      expectedAtt = totalReg * showRate + avgWalkins;
-    }
-  }
-  const closeAt = target > 0 && effectiveRate > 0 ? Math.ceil(Math.max(0, (target - avgWalkins) / effectiveRate)) : 0;
-  const shouldClose = totalReg > 0 && closeAt > 0 && totalReg >= closeAt;
-  const hasData = totalReg > 0 && target > 0;
+  session = session || '';
 
   const row = document.querySelector(`.forecast-row[data-key="${CSS.escape(key)}"]`);
   if (!row) return;
 
-  // Update border
+  // Update border and header rates from the headline session
+  const headline = forecastFor(key, headlineSession(key));
   row.classList.remove('close', 'open');
-  if (hasData) row.classList.add(shouldClose ? 'close' : 'open');
+  if (headline.hasData) row.classList.add(headline.shouldClose ? 'close' : 'open');
+  const meta = row.querySelector('.forecast-header .advisor-meta');
+  if (meta) meta.textContent = forecastMetaText(adv, headline, key);
 
-  // Update or create results section
-  let resultsEl = row.querySelector('.forecast-results-wrap');
-  const confirmInfo = totalConfirmed > 0 ? ` (${totalConfirmed} confirmed)` : '';
-  const resultStr = hasData
-    ? `${adv.code} ${adv.location}: ${totalReg} reg${confirmInfo} is ${shouldClose ? 'at/above' : 'below'} ${closeAt}: ${shouldClose ? 'CLOSE' : 'KEEP OPEN'}`
-    : '';
+  const block = row.querySelector(`.forecast-session[data-session="${CSS.escape(session)}"]`);
+  if (!block) return;
+  const r = forecastFor(key, session);
+
+  if (session) refreshPaceSection(key, session);
+
+  const badge = block.querySelector('.session-head .badge');
+  if (badge) {
+    badge.className = `badge ${r.shouldClose ? 'badge-close' : 'badge-open'}`;
+    badge.textContent = r.shouldClose ? 'CLOSE' : 'KEEP OPEN';
+    badge.style.display = r.hasData ? '' : 'none';
+  }
 
-  if (!hasData) {
+  // Update or create results section
+  let resultsEl = block.querySelector('.forecast-results-wrap');
+  if (!r.hasData) {
     if (resultsEl) resultsEl.remove();
     return;
   }
 
-  const html = `
-    <div class="forecast-results">
-      <div class="result-item">
-        <div class="rlabel">Currently Reg</div>
-        <div class="rvalue">${totalReg}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Expected Att.</div>
-        <div class="rvalue amber">${expectedAtt.toFixed(1)}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Close At</div>
-        <div class="rvalue">${closeAt}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Decision</div>
-        <span class="badge ${shouldClose ? 'badge-close' : 'badge-open'}">${shouldClose ? 'CLOSE' : 'KEEP OPEN'}</span>
-        <div class="decision-note">${totalReg} ${shouldClose ? '≥' : '<'} ${closeAt}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Buffer</div>
-        <div class="rvalue ${(totalReg - closeAt) >= 0 ? 'buf-over' : 'buf-under'}">${(totalReg - closeAt) >= 0 ? '+' + (totalReg - closeAt) + ' over' : 'Need ' + (closeAt - totalReg)}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Range (Worst–Best)</div>
-        <div class="rvalue range">${Math.round(totalReg * minShowRate + avgWalkins)} – ${Math.round(totalReg * maxShowRate + avgWalkins)}</div>
-      </div>
-      <div class="result-item">
-        <div class="rlabel">Confidence</div>
-        <span class="conf-badge ${getConfidenceLevel(wsCount).cls}">${getConfidenceLevel(wsCount).label}</span>
-        <div class="decision-note">${wsCount} workshop${wsCount !== 1 ? 's' : ''}</div>
-      </div>
-    </div>
-    ${resultStr ? `<button class="copy-btn" data-action="copy-result" data-text="${esc(resultStr)}">📋 Copy result</button>` : ''}
-  `;
-
+  const html = renderForecastResults(adv, r, session);
   if (resultsEl) {
     resultsEl.innerHTML = html;
   } else {
     resultsEl = document.createElement('div');
     resultsEl.className = 'forecast-results-wrap';
     resultsEl.innerHTML = html;
-    const body = row.querySelector('.forecast-card-body');
-    (body || row).appendChild(resultsEl);
+    block.appendChild(resultsEl);
   }
 }
 
-function renderStoredData() {
-  const list = document.getElementById('advisor-list');
-  const countEl = document.getElementById('total-count');
-  const keys = Object.keys(advisors).sort();
-
-  const deleteAllSection = document.getElementById('delete-all-section');
+// --- Workshop Editing ---
+// Which history-table row is open for editing: { key, date }, with date '' for the
+// "Add workshop" row. Only one row is editable at a time.
+let editingWorkshop = null;
 
-  if (keys.length === 0) {
-    countEl.textContent = '';
-    list.innerHTML = '<div class="empty-msg">No advisors stored yet. Use "Paste Data" to import.</div>';
-    if (deleteAllSection) deleteAllSection.style.display = 'none';
-    return;
-  }
+function todayIso() {
+  return isoDay(new Date());
+}
 
-  if (deleteAllSection) deleteAllSection.style.display = 'flex';
+// A Date's local calendar day as YYYY-MM-DD
+function isoDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function renderWorkshopEditRow(key, ws) {
+  const inputs = WORKSHOP_INPUT_FIELDS.map(({ field, label }) => `
+    <div class="field">
+      <label>${label}</label>
+      <input type="number" min="0" step="1" data-field="${field}" value="${ws ? ws[field] || 0 : ''}" placeholder="0">
+    </div>`).join('');
+  return `<tr class="edit-row">
+    <td colspan="11">
+      <div class="edit-fields">
+        <div class="field">
+          <label>Date</label>
+          <input type="text" data-field="workshopDate" value="${ws ? ws.workshopDate : ''}" placeholder="YYYY-MM-DD">
+        </div>
+        ${inputs}
+      </div>
+      <div class="edit-errors"></div>
+      <div class="btn-row">
+        <button class="btn btn-primary btn-sm" data-action="save-workshop" data-key="${esc(key)}">${ws ? 'Save' : 'Add workshop'}</button>
+        <button class="btn btn-muted btn-sm" data-action="cancel-workshop-edit">Cancel</button>
+      </div>
+    </td>
+  </tr>`;
+}
+
+// Validates the open edit row and writes it back, journaled so it can be undone.
+// Returns the list of validation errors (empty on success).
+function saveWorkshopEdit(key, values) {
+  const adv = advisors[key];
+  if (!adv || !editingWorkshop) return ['This advisor no longer exists.'];
+  const originalDate = editingWorkshop.date;
+  const original = originalDate ? adv.workshops.find(w => w.workshopDate === originalDate) : null;
+  const otherDates = adv.workshops.map(w => w.workshopDate).filter(d => d !== originalDate);
+
+  const { workshop, errors } = validateWorkshopInput(values, { asOf: todayIso(), base: original, otherDates });
+  if (errors.length) return errors;
+
+  const label = `${adv.code} (${adv.location})`;
+  const before = snapshotKeys([key]);
+  if (original) {
+    const changed = WORKSHOP_NUMERIC_FIELDS.filter(f => (original[f] || 0) !== (workshop[f] || 0));
+    const details = [];
+    if (workshop.workshopDate !== originalDate) details.push(`Date ${originalDate} → ${workshop.workshopDate}`);
+    if (changed.length) details.push(`${summarizeWorkshop(original)} → ${summarizeWorkshop(workshop)}`);
+    adv.workshops = adv.workshops.map(w => (w === original ? workshop : w));
+    recordChange('edit', `Edit ${label} ${originalDate}`, details, before);
+  } else {
+    adv.workshops.push(workshop);
+    recordChange('edit', `Add ${label} ${workshop.workshopDate}`, [summarizeWorkshop(workshop)], before);
+  }
+  // Entering results for a scheduled date completes that session
+  completeSession(key, workshop.workshopDate);
+  reopenUndatedInputs(key, [workshop.workshopDate]);
+  adv.lastUpdated = Date.now();
+  editingWorkshop = null;
+  return [];
+}
+
+function deleteWorkshop(key, date) {
+  const adv = advisors[key];
+  const ws = adv && adv.workshops.find(w => w.workshopDate === date);
+  if (!ws) return false;
+  const before = snapshotKeys([key]);
+  adv.workshops = adv.workshops.filter(w => w !== ws);
+  adv.lastUpdated = Date.now();
+  recordChange('edit', `Delete ${adv.code} (${adv.location}) ${date}`, [summarizeWorkshop(ws)], before);
+  if (editingWorkshop && editingWorkshop.key === key && editingWorkshop.date === date) editingWorkshop = null;
+  return true;
+}
+
+function submitWorkshopEdit(row, key) {
+  if (!row) return;
+  const values = {};
+  row.querySelectorAll('input[data-field]').forEach(inp => { values[inp.dataset.field] = inp.value; });
+  const errors = saveWorkshopEdit(key, values);
+  if (errors.length) {
+    row.querySelector('.edit-errors').innerHTML = errors.map(err => `<div>${esc(err)}</div>`).join('');
+    return;
+  }
+  saveData();
+  renderAll();
+  const adv = advisors[key];
+  if (adv) showMsg(`✓ Saved ${esc(adv.code)} (${esc(adv.location)}) — forecast updated.`, false, 4000, 'data-msg');
+}
+
+// --- Rename & Merge ---
+// A location typo or a renamed code in the sheet starts a second record under a new key.
+// Renaming moves a record (workshops, forecast inputs, logged decisions) to a new code or
+// location; renaming onto an existing record, or picking one, merges the two. Same-date
+// workshops that differ are resolved in a chooser (pendingMerge) before anything changes.
+let pendingMerge = null;   // { from, into, choices: { [date]: 'into' | 'from' } }
+
+function rekeyDecisions(fromKey, toKey) {
+  const adv = advisors[toKey];
+  const moved = decisionLog.filter(entry => entry.key === fromKey);
+  moved.forEach(entry => Object.assign(entry, { key: toKey, code: adv.code, location: adv.location }));
+  if (moved.length) saveDecisionLog();
+}
+
+// Returns { error } when the new name is unusable, { mergeInto } when another record
+// already has it, or { key } once renamed
+function renameAdvisor(key, code, location) {
+  const adv = advisors[key];
+  code = String(code || '').trim().toUpperCase();
+  location = normalizeLocation(location);
+  if (!adv) return { error: 'This advisor no longer exists.' };
+  if (!code) return { error: 'Enter an advisor code.' };
+  if (/[|\t]/.test(code + location)) return { error: 'Code and location cannot contain "|" or tabs.' };
+  const newKey = advisorKey(code, location);
+  if (newKey === key) return { error: 'Nothing changed.' };
+  if (advisors[newKey]) return { mergeInto: newKey };
+
+  const before = snapshotKeys([key, newKey]);
+  const label = `${adv.code} (${adv.location})`;
+  advisors[newKey] = Object.assign({}, adv, { code, location, lastUpdated: Date.now() });
+  forecasts[newKey] = forecasts[key] || defaultForecast();
+  delete advisors[key];
+  delete forecasts[key];
+  rekeyDecisions(key, newKey);
+  recordChange('rename', `Rename ${label} → ${code} (${location})`, [`${adv.workshops.length} workshops moved`], before);
+  return { key: newKey };
+}
+
+function startMerge(from, into) {
+  if (!advisors[from] || !advisors[into] || from === into) return;
+  const choices = {};
+  mergeConflicts(advisors[into].workshops, advisors[from].workshops).forEach(c => { choices[c.date] = 'into'; });
+  pendingMerge = { from, into, choices };
+}
+
+function mergeAdvisors(fromKey, intoKey, choices) {
+  const from = advisors[fromKey], into = advisors[intoKey];
+  if (!from || !into || fromKey === intoKey) return false;
+  const before = snapshotKeys([fromKey, intoKey]);
+  const intoDates = new Set(into.workshops.map(ws => ws.workshopDate));
+  const moved = from.workshops.filter(ws => !intoDates.has(ws.workshopDate)).length;
+  const conflicts = mergeConflicts(into.workshops, from.workshops);
+  const replaced = conflicts.filter(c => choices[c.date] === 'from').map(c => c.date);
+
+  into.workshops = combineWorkshops(into.workshops, from.workshops, choices);
+  if (!into.weightingStrategy && from.weightingStrategy) into.weightingStrategy = from.weightingStrategy;
+  into.lastUpdated = Date.now();
+  if (from.lastImported > (into.lastImported || 0)) into.lastImported = from.lastImported;
+  forecasts[intoKey] = mergeForecastInputs(forecasts[intoKey], forecasts[fromKey]);
+  delete advisors[fromKey];
+  delete forecasts[fromKey];
+  rekeyDecisions(fromKey, intoKey);
+
+  recordChange('merge', `Merge ${from.code} (${from.location}) into ${into.code} (${into.location})`, [
+    `${moved} workshop${moved !== 1 ? 's' : ''} moved`,
+    conflicts.length ? `${conflicts.length} same-date conflict${conflicts.length !== 1 ? 's' : ''}: ${replaced.length ? `took ${from.code} (${from.location})'s numbers for ${replaced.join(', ')}` : `kept ${into.code} (${into.location})'s numbers`}` : '',
+  ].filter(Boolean), before);
+  return true;
+}
+
+function renderAdvisorActions(key) {
+  const adv = advisors[key];
+  const others = Object.keys(advisors).filter(k => k !== key)
+    .sort((a, b) => (advisors[b].code === adv.code) - (advisors[a].code === adv.code) || a.localeCompare(b));
+  return `
+    <div class="advisor-actions" data-key="${esc(key)}">
+      <div class="advisor-action-row">
+        <span class="forecast-sort-label">Rename</span>
+        <input type="text" class="rename-code" data-rename="code" value="${esc(adv.code)}" placeholder="Code">
+        <input type="text" class="rename-location" data-rename="location" value="${esc(adv.location)}" placeholder="Location">
+        <button class="row-btn" data-action="rename-advisor" data-key="${esc(key)}">Save</button>
+      </div>
+      ${others.length ? `<div class="advisor-action-row">
+        <span class="forecast-sort-label">Merge into</span>
+        <select class="forecast-sort merge-target">
+          ${others.map(k => `<option value="${esc(k)}">${esc(advisors[k].code)} — ${esc(advisors[k].location)}</option>`).join('')}
+        </select>
+        <button class="row-btn" data-action="start-merge" data-key="${esc(key)}">Merge…</button>
+      </div>` : ''}
+      <div class="edit-errors"></div>
+    </div>`;
+}
+
+function renderMergePanel() {
+  const { from, into, choices } = pendingMerge;
+  const a = advisors[from], b = advisors[into];
+  const conflicts = mergeConflicts(b.workshops, a.workshops);
+  const intoDates = new Set(b.workshops.map(ws => ws.workshopDate));
+  const moving = a.workshops.filter(ws => !intoDates.has(ws.workshopDate)).length;
+  const same = a.workshops.length - moving - conflicts.length;
+  const radio = (date, side) =>
+    `<input type="radio" name="merge-${date}" data-action="merge-choice" data-date="${date}" data-side="${side}" ${choices[date] === side ? 'checked' : ''}>`;
+  const rows = conflicts.map(c => `<tr>
+      <td>${c.date}</td>
+      <td><label>${radio(c.date, 'into')} ${summarizeWorkshop(c.into)}</label></td>
+      <td><label>${radio(c.date, 'from')} ${summarizeWorkshop(c.from)}</label></td>
+    </tr>`).join('');
+  return `
+    <div class="merge-panel">
+      <div class="preview-title">Merge ${esc(a.code)} (${esc(a.location)}) into ${esc(b.code)} (${esc(b.location)})</div>
+      <div class="paste-help">
+        ${moving} workshop${moving !== 1 ? 's' : ''} move over${same ? `, ${same} already match` : ''}.
+        Forecast inputs and upcoming sessions come along; ${esc(a.code)} (${esc(a.location)}) is then removed.
+        ${conflicts.length ? `<br>${conflicts.length} date${conflicts.length !== 1 ? 's have' : ' has'} different numbers in each record — choose which to keep:` : ''}
+      </div>
+      ${rows ? `<table class="history-table preview-table">
+        <thead><tr><th>Date</th><th>${esc(b.code)} (${esc(b.location)})</th><th>${esc(a.code)} (${esc(a.location)})</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : ''}
+      <div class="btn-row">
+        <button class="btn btn-primary btn-sm" data-action="confirm-merge">Merge</button>
+        <button class="btn btn-sm btn-muted" data-action="cancel-merge">Cancel</button>
+      </div>
+    </div>`;
+}
+
+function renderStoredData() {
+  const list = document.getElementById('advisor-list');
+  const countEl = document.getElementById('total-count');
+  const keys = Object.keys(advisors).sort();
+
+  const deleteAllSection = document.getElementById('delete-all-section');
+
+  if (keys.length === 0) {
+    countEl.textContent = '';
+    list.innerHTML = '<div class="empty-msg">No advisors stored yet. Use "Paste Data" to import.</div>';
+    if (deleteAllSection) deleteAllSection.style.display = 'none';
+    return;
+  }
+
+  if (deleteAllSection) deleteAllSection.style.display = 'flex';
+
+  if (pendingMerge && !(advisors[pendingMerge.from] && advisors[pendingMerge.into])) pendingMerge = null;
 
   const totalWs = keys.reduce((sum, k) => sum + advisors[k].workshops.length, 0);
   countEl.textContent = `${keys.length} advisor record${keys.length !== 1 ? 's' : ''} · ${totalWs} total workshops`;
 
+  const reopen = keepExpanded(list, '.advisor-card-body', id => id.replace(/^body-/, 'toggle-'));
+
   list.innerHTML = keys.map(key => {
     const adv = advisors[key];
     const sid = safeId(key);
     const sorted = [...adv.workshops].sort((a, b) => new Date(b.workshopDate) - new Date(a.workshopDate));
+    const outliers = detectOutliers(adv.workshops);
+    const excludedCount = adv.workshops.filter(ws => ws.excluded).length;
+    const flaggedCount = Object.keys(outliers).length;
+    const trends = workshopTrends(adv.workshops);
+    const showTrend = trends.metrics.showRate.trend.direction;
 
+    const editing = editingWorkshop && editingWorkshop.key === key ? editingWorkshop : null;
     const rows = sorted.map(ws => {
+      if (editing && editing.date === ws.workshopDate) return renderWorkshopEditRow(key, ws);
       const s = computeWorkshopStats(ws);
       if (!s) return '';
-      return `<tr>
+      const flags = (outliers[ws.workshopDate] || []).map(f => {
+        const label = f.metric === 'showRate' ? 'show rate' : 'walk-ins';
+        const fmt = v => (f.metric === 'showRate' ? `${(v * 100).toFixed(0)}%` : v.toFixed(0));
+        return `<span class="outlier-flag" title="Unusual ${label}: ${fmt(f.value)} vs typical ${fmt(f.median)}">⚠ ${label}</span>`;
+      }).join(' ');
+      return `<tr class="${ws.excluded ? 'excluded' : ''}">
         <td>${ws.workshopDate}</td>
         <td>${s.totalRegClose}</td>
         <td>${s.totalConfirmed}</td>
@@ -701,8 +1116,32 @@ function renderStoredData() {
         <td>${s.walkins}</td>
         <td class="lightblue">${(s.confirmationRate * 100).toFixed(1)}%</td>
         <td class="green">${(s.effectiveShowRate * 100).toFixed(1)}%</td>
+        <td>${s.totalYes > 0 ? `${s.totalYes} · ${(s.yesRate * 100).toFixed(0)}%` : '—'}</td>
+        <td>${flags}</td>
+        <td class="exclude-cell">
+          <label title="Leave this workshop out of every forecast calculation">
+            <input type="checkbox" data-action="toggle-exclude" data-key="${esc(key)}" data-date="${ws.workshopDate}" ${ws.excluded ? 'checked' : ''}>
+          </label>
+          <input type="text" class="ws-note" data-note-key="${esc(key)}" data-date="${ws.workshopDate}"
+                 value="${esc(ws.note || '')}" placeholder="${ws.excluded ? 'Why? (optional)' : ''}" ${ws.excluded ? '' : 'hidden'}>
+        </td>
+        <td class="row-actions">
+          <button class="row-btn" data-action="edit-workshop" data-key="${esc(key)}" data-date="${ws.workshopDate}" title="Edit this workshop">✎</button>
+          <button class="row-btn row-btn-danger" data-action="delete-workshop" data-key="${esc(key)}" data-date="${ws.workshopDate}" title="Delete this workshop">✕</button>
+        </td>
       </tr>`;
     }).join('');
+    const addRow = editing && editing.date === ''
+      ? renderWorkshopEditRow(key, null)
+      : `<tr class="add-row"><td colspan="11">
+          <button class="row-btn" data-action="add-workshop" data-key="${esc(key)}">+ Add workshop</button>
+        </td></tr>`;
+
+    const meta = [
+      `${adv.workshops.length} workshop${adv.workshops.length !== 1 ? 's' : ''}`,
+      flaggedCount ? `⚠ ${flaggedCount} unusual` : '',
+      excludedCount ? `${excludedCount} excluded` : '',
+    ].filter(Boolean).join(' · ');
 
     return `
       <div class="advisor-card" data-key="${esc(key)}">
@@ -710,16 +1149,21 @@ function renderStoredData() {
           <span class="advisor-card-toggle" id="toggle-${sid}">▶</span>
           <span class="advisor-badge">${esc(adv.code)}</span>
           <span class="advisor-location">${esc(adv.location)}</span>
-          <span class="advisor-meta">${adv.workshops.length} workshop${adv.workshops.length !== 1 ? 's' : ''}</span>
+          ${showTrend === 'up' || showTrend === 'down'
+            ? `<span class="trend-badge trend-${showTrend}">${TREND_ARROWS[showTrend]} show rate ${showTrend}</span>`
+            : ''}
+          <span class="advisor-meta">${meta}</span>
         </div>
         <div class="advisor-card-body" id="body-${sid}">
+          ${renderTrendCharts(trends)}
           <table class="history-table">
             <thead><tr>
               <th>Date</th><th>Reg@Close</th><th>Confirmed</th><th>Attended</th>
-              <th>Walk-ins</th><th>Conf Rate</th><th>Show Rate</th>
+              <th>Walk-ins</th><th>Conf Rate</th><th>Show Rate</th><th>Yes</th><th>Flags</th><th>Exclude</th><th></th>
             </tr></thead>
-            <tbody>${rows}</tbody>
+            <tbody>${addRow}${rows}</tbody>
           </table>
+          ${pendingMerge && pendingMerge.from === key ? renderMergePanel() : renderAdvisorActions(key)}
           <div class="delete-section">
             <button class="btn btn-danger btn-sm" data-action="delete-advisor" data-key="${esc(key)}">Delete ${esc(adv.code)} ${esc(adv.location)}</button>
             <span class="warn-text">Removes all history for this advisor/location</span>
@@ -728,13 +1172,1065 @@ function renderStoredData() {
       </div>
     `;
   }).join('');
+
+  reopen();
+}
+
+// --- Backup & Restore ---
+const BACKUP_FORMAT = 'workshop-trend-calculator-backup';
+const BACKUP_VERSION = 1;
+
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: { advisors, forecasts, currentForecastSort, forecastView, settings, decisionLog, schemaVersion: SCHEMA_VERSION },
+  };
+}
+
+// Throws with a description of the first problem found; nothing is written until this passes
+// Checks the backup envelope, upgrades its data with the same migrations stored data
+// goes through and only then checks the records, so old backups the migrations can
+// repair are accepted. Returns migrateStoredData's { data, problems }.
+function validateBackup(backup) {
+  const isDate = val => typeof val === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(val);
+  const isCount = val => typeof val === 'number' && isFinite(val) && val >= 0;
+  // Registration pace logs ({ date, feds, sps }) on upcoming sessions and completed workshops
+  const checkSnapshots = (snapshots, where) => {
+    if (snapshots === undefined) return;
+    if (!Array.isArray(snapshots) || !snapshots.every(sn => isPlainObject(sn) && isDate(sn.date) && isCount(sn.feds) && isCount(sn.sps))) {
+      throw new Error(`${where} has a malformed registration log.`);
+    }
+  };
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Workshop Trend Calculator backup.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('Backup has no valid format version.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup format v${backup.version} is newer than this extension supports (v${BACKUP_VERSION}). Update the extension first.`);
+  }
+  if (!isPlainObject(backup.data) || !isPlainObject(backup.data.advisors)) {
+    throw new Error('Backup is missing its advisor data.');
+  }
+  const schemaVersion = backup.data.schemaVersion === undefined ? 0 : backup.data.schemaVersion;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+    throw new Error('Backup has no valid schema version.');
+  }
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Backup data is from a newer version of this extension (schema v${schemaVersion}, this one reads up to v${SCHEMA_VERSION}). Update the extension first.`);
+  }
+  if (backup.data.forecasts !== undefined && !isPlainObject(backup.data.forecasts)) {
+    throw new Error('Backup forecast inputs are malformed.');
+  }
+  if (backup.data.decisionLog !== undefined && (!Array.isArray(backup.data.decisionLog) || !backup.data.decisionLog.every(isPlainObject))) {
+    throw new Error('Backup decision log is malformed.');
+  }
+
+  let migrated;
+  try {
+    migrated = migrateStoredData({
+      advisors: backup.data.advisors,
+      forecasts: backup.data.forecasts || {},
+      currentForecastSort: backup.data.currentForecastSort,
+      decisionLog: backup.data.decisionLog || [],
+    }, schemaVersion);
+  } catch (err) {
+    throw new Error(`Backup data could not be upgraded (${err.message}).`);
+  }
+  const data = Object.assign({}, backup.data, migrated.data);
+
+  for (const [key, adv] of Object.entries(data.advisors)) {
+    if (!isPlainObject(adv) || typeof adv.code !== 'string' || !adv.code.trim() || typeof adv.location !== 'string') {
+      throw new Error(`Advisor "${key}" is missing its code or location.`);
+    }
+    if (advisorKey(adv.code, adv.location) !== key) {
+      throw new Error(`Advisor "${key}" does not match its code/location (${adv.code} / ${adv.location}).`);
+    }
+    if (!Array.isArray(adv.workshops)) {
+      throw new Error(`Advisor "${key}" has no workshop list.`);
+    }
+    for (const ws of adv.workshops) {
+      if (!isPlainObject(ws) || !isDate(ws.workshopDate)) {
+        throw new Error(`Advisor "${key}" has a workshop without a valid date.`);
+      }
+      checkSnapshots(ws.regSnapshots, `Advisor "${key}", workshop ${ws.workshopDate}`);
+      for (const field of WORKSHOP_NUMERIC_FIELDS) {
+        if (ws[field] !== undefined && (typeof ws[field] !== 'number' || !isFinite(ws[field]) || ws[field] < 0)) {
+          throw new Error(`Advisor "${key}", workshop ${ws.workshopDate}: "${field}" is not a valid number.`);
+        }
+      }
+    }
+  }
+
+  for (const [key, fc] of Object.entries(data.forecasts || {})) {
+    if (!isPlainObject(fc)) throw new Error(`Forecast inputs for "${key}" are malformed.`);
+    if (fc.sessions !== undefined && !isPlainObject(fc.sessions)) {
+      throw new Error(`Upcoming sessions for "${key}" are malformed.`);
+    }
+    for (const [date, inputs] of Object.entries(fc.sessions || {})) {
+      if (!isDate(date) || !isPlainObject(inputs)) {
+        throw new Error(`Advisor "${key}" has an upcoming session without a valid date.`);
+      }
+      checkSnapshots(inputs.snapshots, `Advisor "${key}", session ${date}`);
+    }
+  }
+  if (data.forecastView !== undefined && !isPlainObject(data.forecastView)) {
+    throw new Error('Backup forecast view is malformed.');
+  }
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    throw new Error('Backup settings are malformed.');
+  }
+  if (data.currentForecastSort !== undefined && !FORECAST_SORTS.includes(data.currentForecastSort)) {
+    throw new Error(`Backup has an unknown sort setting "${data.currentForecastSort}".`);
+  }
+  return migrated;
+}
+
+// `migrated` is validateBackup's upgraded copy of the backup's data
+function restoreBackup(backup, migrated, mode) {
+  const { data, problems } = migrated;
+  const incomingForecasts = data.forecasts;
+
+  if (mode === 'replace') {
+    advisors = data.advisors;
+    forecasts = incomingForecasts;
+    if (data.currentForecastSort) currentForecastSort = data.currentForecastSort;
+    if (backup.data.forecastView) forecastView = normalizeForecastView(backup.data.forecastView);
+    if (backup.data.settings) {
+      settings = loadSettings(backup.data.settings);
+      setLabelAliases(settings.labelAliases);
+    }
+    if (backup.data.decisionLog) decisionLog = data.decisionLog || [];
+    return problems;
+  }
+
+  // Merge: per advisor key, then per workshop date using the same rule as import
+  for (const [key, adv] of Object.entries(data.advisors)) {
+    if (!advisors[key]) {
+      advisors[key] = adv;
+    } else {
+      advisors[key].workshops = mergeWorkshops(advisors[key].workshops, adv.workshops);
+      advisors[key].lastUpdated = Math.max(advisors[key].lastUpdated || 0, adv.lastUpdated || 0) || Date.now();
+      if (adv.lastImported > (advisors[key].lastImported || 0)) advisors[key].lastImported = adv.lastImported;
+    }
+    // Keep inputs already being worked on; only fill in ones this browser doesn't have
+    if (!forecasts[key] && incomingForecasts[key]) {
+      forecasts[key] = incomingForecasts[key];
+    } else if (incomingForecasts[key]) {
+      const sessions = forecasts[key].sessions || (forecasts[key].sessions = {});
+      Object.entries(incomingForecasts[key].sessions || {}).forEach(([date, inputs]) => {
+        if (!sessions[date]) sessions[date] = inputs;
+      });
+    }
+  }
+  const loggedIds = new Set(decisionLog.map(d => d.id));
+  (data.decisionLog || []).forEach(d => { if (!loggedIds.has(d.id)) decisionLog.push(d); });
+  decisionLog.sort((a, b) => b.at - a.at);
+  if (decisionLog.length > MAX_DECISIONS) decisionLog.length = MAX_DECISIONS;
+  return problems;
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Accuracy (Backtest) ---
+// Replaying every advisor is the heaviest render, so it waits until the Accuracy tab is
+// showing; calls made while it is hidden just mark it out of date
+let accuracyStale = true;
+
+function renderAccuracy() {
+  if (!document.getElementById('panel-accuracy').classList.contains('active')) {
+    accuracyStale = true;
+    return;
+  }
+  accuracyStale = false;
+  const container = document.getElementById('accuracy-report');
+  const keys = Object.keys(advisors).sort();
+  const results = keys.map(key => {
+    // Replayed against the target of the advisor's next session, or the card's own inputs
+    const fc = forecastInputsFor(key, headlineSession(key));
+    const target = fc.target || defaultForecastInputs().target;
+    const targetType = normalizeTargetType(fc.targetType);
+    const bt = backtestWorkshops(advisors[key].workshops, {
+      target, targetType, weighting: weightingFor(key), closeRule: settings.closeRule, baseline: baselineFor(key),
+    });
+    return { key, adv: advisors[key], target, targetType, bt };
+  }).filter(res => res.bt.points.length > 0);
+
+  if (results.length === 0) {
+    container.innerHTML = '<div class="empty-msg">Needs at least one advisor with two or more completed workshops to replay.</div>';
+    return;
+  }
+
+  const overall = summarizeBacktest([].concat(...results.map(res => res.bt.points)));
+  const pct = v => `${(v * 100).toFixed(0)}%`;
+  const signed = v => `${v >= 0 ? '+' : ''}${v.toFixed(1)}`;
+
+  const cards = results.map(({ key, adv, target, targetType, bt }) => {
+    const sid = safeId(key);
+    const rows = bt.points.slice().reverse().map(p => `<tr>
+        <td>${p.workshopDate}</td>
+        <td>${p.totalReg}</td>
+        <td>${p.closeAt}</td>
+        <td>${p.predicted.toFixed(1)}</td>
+        <td>${p.actual}</td>
+        <td class="${p.error >= 0 ? 'lightblue' : ''}">${signed(p.error)}</td>
+        <td>${p.shouldClose ? 'CLOSE' : 'KEEP OPEN'}</td>
+        <td class="${p.correct ? 'green' : 'miss'}">${p.correct ? '✓' : '✗'} ${p.reachedTarget ? 'hit' : 'missed'} ${target}${targetType === 'yes' ? ' Yes' : ''}</td>
+      </tr>`).join('');
+    return `
+      <div class="advisor-card">
+        <div class="advisor-card-header" data-action="toggle-card" data-sid="acc-${sid}">
+          <span class="advisor-card-toggle" id="toggle-acc-${sid}">▶</span>
+          <span class="advisor-badge">${esc(adv.code)}</span>
+          <span class="advisor-location">${esc(adv.location)}</span>
+          <span class="advisor-meta">${bt.summary.count} replayed · MAE ${bt.summary.mae.toFixed(1)} · bias ${signed(bt.summary.bias)} · ${pct(bt.summary.hitRate)} right calls</span>
+        </div>
+        <div class="advisor-card-body" id="body-acc-${sid}">
+          <table class="history-table">
+            <thead><tr>
+              <th>Date</th><th>Reg@Close</th><th>Close At</th><th>Predicted</th><th>Actual</th>
+              <th>Error</th><th>Call</th><th>Outcome</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="accuracy-summary">
+      <div class="result-item">
+        <div class="rlabel">Workshops Replayed</div>
+        <div class="rvalue">${overall.count}</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Mean Abs. Error</div>
+        <div class="rvalue amber">${overall.mae.toFixed(1)}</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Bias</div>
+        <div class="rvalue">${signed(overall.bias)}</div>
+        <div class="decision-note">${overall.bias >= 0 ? 'over' : 'under'}-predicts on average</div>
+      </div>
+      <div class="result-item">
+        <div class="rlabel">Right Calls</div>
+        <div class="rvalue ${overall.hitRate >= 0.8 ? 'buf-over' : 'buf-under'}">${pct(overall.hitRate)}</div>
+        <div class="decision-note">${overall.hits} of ${overall.count}</div>
+      </div>
+    </div>
+    ${cards}`;
+}
+
+// --- Decision Log ---
+// Copying a result or marking a session closed logs the call with the inputs and forecast
+// behind it. Outcomes are not stored: each entry is matched to its workshop's results when
+// the log is shown, so later imports, edits and undos are always reflected.
+const MAX_DECISIONS = 200;
+let decisionLog = [];
+
+const DECISION_TRIGGERS = { copy: 'Copied', closed: 'Closed' };
+
+function logDecision(key, session, trigger) {
+  const r = forecastFor(key, session);
+  if (!r.hasData) return null;
+  const fc = forecastInputsFor(key, session);
+  const inputs = {};
+  Object.keys(defaultForecastInputs()).forEach(f => { inputs[f] = fc[f]; });
+  const adv = advisors[key];
+  const entry = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    key, code: adv.code, location: adv.location, session, trigger,
+    at: Date.now(), decidedOn: todayIso(),
+    inputs,
+    totalReg: r.totalReg, closeAt: r.closeAt, expectedAtt: r.expectedAtt, expectedYes: r.expectedYes,
+    target: r.target, targetType: r.targetType,
+    decision: r.shouldClose ? 'close' : 'open',
+  };
+  // Copying (or closing) on the same numbers twice is one decision
+  const last = decisionLog.find(d => d.key === key && d.session === session);
+  if (last && last.trigger === trigger && last.decision === entry.decision &&
+      JSON.stringify(last.inputs) === JSON.stringify(entry.inputs)) return last;
+  decisionLog.unshift(entry);
+  if (decisionLog.length > MAX_DECISIONS) decisionLog.length = MAX_DECISIONS;
+  saveDecisionLog();
+  return entry;
+}
+
+// The card's undated inputs stay marked closed until results arrive for a workshop held
+// on or after the day they were closed
+function reopenUndatedInputs(key, dates) {
+  const fc = forecasts[key];
+  if (fc && fc.closedAt && dates.some(date => date >= isoDay(new Date(fc.closedAt)))) delete fc.closedAt;
+}
+
+// The workshop a call was about: its session's date, or for the card's undated inputs the
+// first workshop held on or after the day it was made
+function decisionWorkshop(entry) {
+  const adv = advisors[entry.key];
+  if (!adv) return null;
+  if (entry.session) return adv.workshops.find(ws => ws.workshopDate === entry.session) || null;
+  return adv.workshops
+    .filter(ws => ws.workshopDate >= entry.decidedOn)
+    .sort((a, b) => a.workshopDate.localeCompare(b.workshopDate))[0] || null;
+}
+
+function renderDecisionLog() {
+  const container = document.getElementById('decision-log');
+  if (decisionLog.length === 0) {
+    container.innerHTML = '<div class="empty-msg">No decisions logged yet. Copying a result or marking a session closed on the Forecast tab records the call here.</div>';
+    return;
+  }
+
+  const judged = decisionLog.map(entry => ({ entry, out: judgeDecision(entry, decisionWorkshop(entry)) }));
+  const summary = summarizeBacktest(judged.filter(j => j.out).map(j => j.out));
+  const signed = v => `${v >= 0 ? '+' : ''}${v.toFixed(1)}`;
+
+  const rows = judged.map(({ entry, out }) => {
+    const byYes = entry.targetType === 'yes';
+    const inputsTitle = `Reg ${entry.inputs.currentFeds || 0} feds + ${entry.inputs.currentSps || 0} spouses · confirmed ${entry.inputs.confirmedFeds || 0} + ${entry.inputs.confirmedSps || 0} · target ${entry.target}${byYes ? ' Yes' : ''}`;
+    return `<tr title="${esc(inputsTitle)}">
+        <td>${esc(new Date(entry.at).toLocaleDateString())}</td>
+        <td>${esc(entry.code)} <span class="decision-loc">${esc(entry.location)}</span></td>
+        <td>${esc(out ? out.workshopDate : entry.session || '—')}</td>
+        <td>${DECISION_TRIGGERS[entry.trigger] || esc(entry.trigger)}</td>
+        <td>${entry.totalReg}</td>
+        <td>${entry.closeAt > 0 ? entry.closeAt : '—'}</td>
+        <td>${byYes ? `${entry.expectedYes.toFixed(1)} Yes` : entry.expectedAtt.toFixed(1)}</td>
+        <td>${entry.decision === 'close' ? 'CLOSE' : 'KEEP OPEN'}</td>
+        ${out
+          ? `<td>${byYes ? `${out.actualYes} Yes` : out.actual}</td>
+             <td class="${out.error >= 0 ? 'lightblue' : ''}">${signed(out.error)}</td>
+             <td class="${out.correct ? 'green' : 'miss'}">${out.correct ? '✓' : '✗'} ${out.reachedTarget ? 'hit' : 'missed'} ${entry.target}${byYes ? ' Yes' : ''}</td>`
+          : `<td colspan="3" class="pending">${advisors[entry.key] ? 'awaiting results' : 'advisor removed'}</td>`}
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="decision-summary">
+      ${decisionLog.length} call${decisionLog.length !== 1 ? 's' : ''} logged · ${summary.count} with results${summary.count > 0
+        ? ` · <strong>${summary.hits} of ${summary.count}</strong> right (${(summary.hitRate * 100).toFixed(0)}%) · MAE ${summary.mae.toFixed(1)} · bias ${signed(summary.bias)}`
+        : ''}
+    </div>
+    <table class="history-table decision-table">
+      <thead><tr>
+        <th>Logged</th><th>Advisor</th><th>Workshop</th><th>Via</th><th>Reg</th><th>Close At</th>
+        <th>Expected</th><th>Call</th><th>Actual</th><th>Error</th><th>Outcome</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// --- Settings ---
+function renderSettings() {
+  const w = settings.weighting;
+  const rule = settings.closeRule;
+  document.getElementById('set-close-mode').value = rule.mode;
+  document.getElementById('set-close-confidence').value = Math.round(rule.confidence * 100);
+  document.getElementById('set-close-confidence-field').style.display = rule.mode === 'probability' ? '' : 'none';
+
+  const sel = document.getElementById('set-weighting');
+  sel.innerHTML = Object.entries(WEIGHTING_STRATEGIES).map(([id, st]) =>
+    `<option value="${id}" ${w.strategy === id ? 'selected' : ''}>${esc(st.label)}</option>`).join('');
+  document.getElementById('set-half-life').value = w.halfLifeDays;
+  document.getElementById('set-last-n').value = w.lastN;
+  document.getElementById('set-half-life-field').style.display = w.strategy === 'exponential' ? '' : 'none';
+  document.getElementById('set-last-n-field').style.display = w.strategy === 'last-n' ? '' : 'none';
+  document.getElementById('set-weighting-desc').textContent = describeWeighting(w);
+
+  document.getElementById('set-baseline-mode').value = settings.baseline.mode;
+  document.getElementById('set-baseline-strength').value = settings.baseline.strength;
+  document.getElementById('set-baseline-strength-field').style.display = settings.baseline.mode === 'off' ? 'none' : '';
+
+  document.getElementById('set-label-aliases').innerHTML = LABEL_MAP.map(({ field }) => `
+    <div class="field">
+      <label for="alias-${field}">${esc(labelFieldName(field))} <span class="alias-field">${field}</span></label>
+      <textarea id="alias-${field}" class="alias-input" data-label-field="${field}" rows="2"
+        placeholder="Your labels, one per line">${esc((settings.labelAliases[field] || []).join('\n'))}</textarea>
+    </div>`).join('');
+  document.getElementById('set-label-errors').textContent = '';
+  renderLabelTest();
+}
+
+function updateWeightingSettings() {
+  settings.weighting = normalizeWeighting({
+    strategy: document.getElementById('set-weighting').value,
+    halfLifeDays: document.getElementById('set-half-life').value,
+    lastN: document.getElementById('set-last-n').value,
+  });
+  saveData();
+  renderSettings();
+  renderForecast();
+  renderAccuracy();
+}
+
+function updateCloseRuleSettings() {
+  settings.closeRule = normalizeCloseRule({
+    mode: document.getElementById('set-close-mode').value,
+    confidence: Number(document.getElementById('set-close-confidence').value) / 100,
+  });
+  saveData();
+  renderSettings();
+  renderForecast();
+  renderAccuracy();
+}
+
+function updateBaselineSettings() {
+  settings.baseline = normalizeBaselineSettings({
+    mode: document.getElementById('set-baseline-mode').value,
+    strength: document.getElementById('set-baseline-strength').value,
+  });
+  saveData();
+  renderSettings();
+  renderForecast();
+  renderAccuracy();
+}
+
+// --- Row Labels ---
+function labelFieldName(field) {
+  if (field === 'workshopDate') return 'Date';
+  const def = WORKSHOP_INPUT_FIELDS.find(d => d.field === field);
+  return def ? def.label : field;
+}
+
+function updateLabelAliasSettings() {
+  const raw = {};
+  document.querySelectorAll('#set-label-aliases [data-label-field]').forEach(inp => {
+    // One label per line, since a label may itself hold a comma ("Feds, confirmed")
+    raw[inp.dataset.labelField] = inp.value.split('\n');
+  });
+  settings.labelAliases = normalizeLabelAliases(raw);
+  setLabelAliases(settings.labelAliases);
+  saveData();
+
+  document.getElementById('set-label-errors').textContent = labelAliasConflicts(raw).map(c =>
+    `“${c.alias}” is given to ${c.fields.map(labelFieldName).join(' and ')} — it counts as ${labelFieldName(c.fields[0])}.`).join(' ');
+  renderLabelTest();
+}
+
+// Shows which field the label typed into the test box resolves to, and by which rule
+function renderLabelTest() {
+  const text = document.getElementById('set-label-test').value;
+  const el = document.getElementById('set-label-test-result');
+  if (!text.trim()) {
+    el.innerHTML = '';
+    return;
+  }
+  const resolved = resolveLabel(text);
+  el.innerHTML = !resolved
+    ? 'Not recognized — a row with this label is skipped on import.'
+    : `→ <strong>${esc(labelFieldName(resolved.field))}</strong> (${resolved.field}) — ${resolved.source === 'alias'
+      ? `your label “${esc(resolved.rule)}”`
+      : `built-in pattern <code>${esc(resolved.rule)}</code>`}`;
+}
+
+// --- Change History (Undo) ---
+// Every mutating operation (import, restore, deletes) is journaled with a snapshot of the
+// affected advisor records and forecast inputs as they were *before* the change. Reverting
+// an entry puts those snapshots back and is itself journaled, so an undo can be undone.
+const MAX_HISTORY = 25;
+let changeHistory = [];
+
+function cloneData(val) {
+  return val === undefined || val === null ? null : JSON.parse(JSON.stringify(val));
+}
+
+function snapshotKeys(keys) {
+  const before = { advisors: {}, forecasts: {} };
+  keys.forEach(key => {
+    before.advisors[key] = cloneData(advisors[key]);
+    before.forecasts[key] = cloneData(forecasts[key]);
+  });
+  // Which advisor each of their logged decisions is filed under — rename and merge move them
+  before.decisions = decisionLog.filter(entry => keys.includes(entry.key))
+    .map(({ id, key, code, location }) => ({ id, key, code, location }));
+  return before;
+}
+
+function recordChange(type, summary, details, before) {
+  changeHistory.unshift({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    type, summary, details, before,
+    at: Date.now(),
+    revertedAt: null,
+  });
+  if (changeHistory.length > MAX_HISTORY) changeHistory.length = MAX_HISTORY;
+  saveHistory();
+}
+
+// Later, still-active entries that touched any of the same advisors
+function laterConflicts(entry) {
+  const keys = Object.keys(entry.before.advisors);
+  return changeHistory.filter(h =>
+    h.at > entry.at && !h.revertedAt && Object.keys(h.before.advisors).some(k => keys.includes(k)));
+}
+
+function revertChange(id) {
+  const entry = changeHistory.find(h => h.id === id);
+  if (!entry || entry.revertedAt) return null;
+  const keys = Object.keys(entry.before.advisors);
+  const before = snapshotKeys(keys);
+
+  keys.forEach(key => {
+    const adv = entry.before.advisors[key];
+    const fc = entry.before.forecasts[key];
+    if (adv) advisors[key] = cloneData(adv); else delete advisors[key];
+    if (fc) forecasts[key] = cloneData(fc); else delete forecasts[key];
+  });
+  const filed = {};
+  (entry.before.decisions || []).forEach(d => { filed[d.id] = d; });
+  const refiled = decisionLog.filter(d => filed[d.id] && filed[d.id].key !== d.key);
+  refiled.forEach(d => Object.assign(d, filed[d.id]));
+  if (refiled.length) saveDecisionLog();
+
+  entry.revertedAt = Date.now();
+  recordChange('revert', `Undo: ${entry.summary}`, entry.details, before);
+  return entry;
+}
+
+function undoLastChange() {
+  const entry = changeHistory.find(h => !h.revertedAt && h.type !== 'revert');
+  if (!entry) return null;
+  return revertChange(entry.id);
+}
+
+function renderHistory() {
+  const undoBtn = document.getElementById('btn-undo');
+  const countEl = document.getElementById('history-count');
+  const list = document.getElementById('history-list');
+  const last = changeHistory.find(h => !h.revertedAt && h.type !== 'revert');
+
+  undoBtn.disabled = !last;
+  undoBtn.textContent = last ? `↶ Undo: ${last.summary}` : '↶ Nothing to undo';
+  countEl.textContent = `History (${changeHistory.length})`;
+
+  if (changeHistory.length === 0) {
+    list.innerHTML = '<div class="empty-msg">No changes recorded yet.</div>';
+    return;
+  }
+  list.innerHTML = changeHistory.map(h => `
+    <div class="history-entry${h.revertedAt ? ' reverted' : ''}">
+      <div class="history-entry-head">
+        <span class="history-time">${esc(new Date(h.at).toLocaleString())}</span>
+        <span class="history-summary">${esc(h.summary)}</span>
+        ${h.revertedAt
+          ? `<span class="history-reverted">Reverted ${esc(new Date(h.revertedAt).toLocaleString())}</span>`
+          : `<button class="copy-btn" data-action="revert-change" data-id="${esc(h.id)}">Revert</button>`}
+      </div>
+      ${h.details && h.details.length ? `<ul class="history-details">${h.details.map(d => `<li>${esc(d)}</li>`).join('')}</ul>` : ''}
+    </div>
+  `).join('');
+}
+
+// --- Workbook (.xlsx) Import ---
+let pendingWorkbook = null;
+
+function showXlsxOptions(fileName, workbook) {
+  pendingWorkbook = workbook;
+  document.getElementById('xlsx-file-name').textContent = fileName;
+  document.getElementById('xlsx-sheet').innerHTML = workbook.sheets.map((sh, i) => {
+    const used = sh.rows.length;
+    return `<option value="${i}">${esc(sh.name)} (${used} row${used !== 1 ? 's' : ''})</option>`;
+  }).join('');
+  document.getElementById('xlsx-range').value = '';
+  document.getElementById('xlsx-options').style.display = 'block';
+}
+
+function hideXlsxOptions() {
+  pendingWorkbook = null;
+  document.getElementById('xlsx-options').style.display = 'none';
+}
+
+// --- Import ---
+// Parsing a paste never writes to storage directly: it builds a preview (pendingImport)
+// showing, per detected block, which workshop dates are new, overwritten or dropped.
+// Only the blocks left checked are merged in when the preview is confirmed.
+let pendingImport = null;
+
+// Patterns that indicate a "skipped" entry rather than a real error
+const SKIP_PATTERNS = [
+  /no valid workshop dates/i,
+  /could not find row labels/i,
+];
+
+function summarizeWorkshop(ws) {
+  const reg = ws.totalFedsClose + ws.totalSpsClose;
+  const conf = ws.totalFedConfirmed + (ws.totalSpsConfirmed || 0);
+  const att = ws.totalFedsAttended + ws.totalSpsAttended;
+  return `${reg} reg · ${conf} conf · ${att} att · ${ws.totalWalkins} walk-in`;
+}
+
+function diffWorkshops(existing, incoming) {
+  const existingByDate = {};
+  existing.forEach(ws => { existingByDate[ws.workshopDate] = ws; });
+  const added = [], overwritten = [], unchanged = [];
+  incoming.forEach(ws => {
+    const old = existingByDate[ws.workshopDate];
+    if (!old) added.push(ws);
+    else if (workshopsEqual(old, ws)) unchanged.push(ws);
+    else overwritten.push({ old, new: ws });
+  });
+  return { added, overwritten, unchanged };
+}
+
+// Takes tab-separated text (a spreadsheet paste, or a CSV/xlsx grid flattened by gridToTsv)
+function buildImportPreview(text) {
+  const blocks = splitMultiAdvisorBlocks(text);
+  const itemsByKey = {};
+  const skipped = [];  // blocks without dates or row labels, or only past dates without results — not real errors
+  const errors = [];   // real parsing failures
+
+  for (const block of blocks) {
+    try {
+      const result = parsePastedAdvisorBlock(block);
+      const key = advisorKey(result.code, result.location);
+      const item = itemsByKey[key];
+      if (item) {
+        // Same advisor pasted twice — later block wins, as it would have on import
+        item.workshops = mergeWorkshops(item.workshops, result.workshops);
+        item.incomplete = item.incomplete.concat(result.incomplete);
+        item.scheduled = mergeWorkshops(item.scheduled, result.scheduled);
+        item.unknownLabels = Array.from(new Set(item.unknownLabels.concat(result.unknownLabels)));
+      } else {
+        itemsByKey[key] = {
+          key, code: result.code, location: result.location, pastedLocation: result.location,
+          workshops: result.workshops, incomplete: result.incomplete, scheduled: result.scheduled, selected: true,
+          unknownLabels: result.unknownLabels,
+        };
+      }
+    } catch (e) {
+      const firstLine = block.trim().split('\n')[0] || '';
+      const label = firstLine.split('\t')[0].trim() || 'Unknown';
+      const msg = e.message;
+      if (SKIP_PATTERNS.some(p => p.test(msg))) {
+        skipped.push(label);
+      } else {
+        errors.push(`${label}: ${msg}`);
+      }
+    }
+  }
+
+  const known = Object.keys(advisors).map(key => ({ key, code: advisors[key].code, location: advisors[key].location }));
+  const items = Object.values(itemsByKey).map(item => {
+    item.parsed = { incomplete: item.incomplete, scheduled: item.scheduled };
+    // A new code/location that is only a near miss of an existing record's location stays
+    // a new advisor; the preview offers that record, and importing into it is the user's call
+    if (!advisors[item.key]) {
+      const match = matchAdvisor(item.code, item.location, known);
+      if (match.key && locationSimilarity(advisors[match.key].location, item.location) >= LOCATION_MATCH_MIN) {
+        item.suggestedKey = match.key;
+      }
+    }
+    return describeImportItem(item);
+  }).filter(item => {
+    // No results and nothing upcoming — only past dates without results
+    const today = todayIso();
+    const empty = !item.workshops.length && !item.parsed.scheduled.some(ws => ws.workshopDate >= today);
+    if (empty) skipped.push(item.code);
+    return !empty;
+  });
+  return { items, skipped, errors };
+}
+
+// Registration counts from the sheet that differ from a known session's inputs.
+// Blank or 0 cells leave what was typed on the card alone.
+const SESSION_COUNT_FIELDS = [
+  ['currentFeds', 'totalFedsClose'], ['currentSps', 'totalSpsClose'],
+  ['confirmedFeds', 'totalFedConfirmed'], ['confirmedSps', 'totalSpsConfirmed'],
+];
+
+function sessionCountChanges(key, ws) {
+  const inputs = forecasts[key] && forecasts[key].sessions && forecasts[key].sessions[ws.workshopDate];
+  if (!inputs) return {};
+  const changes = {};
+  SESSION_COUNT_FIELDS.forEach(([field, sheetField]) => {
+    if (ws[sheetField] > 0 && String(ws[sheetField]) !== String(inputs[field])) changes[field] = String(ws[sheetField]);
+  });
+  return changes;
+}
+
+function sessionRegText(feds, sps, confFeds, confSps) {
+  const conf = toCount(confFeds) + toCount(confSps);
+  return `${toCount(feds)} feds + ${toCount(sps)} SPs registered${conf ? `, ${conf} confirmed` : ''}`;
+}
+
+// Workshops without results are upcoming sessions when dated today or later; earlier
+// ones are dropped as before. Results for a date that was a session complete it.
+function describeImportItem(item) {
+  const today = todayIso();
+  const existing = advisors[item.key];
+  const knownSessions = sessionDates(item.key);
+  const completedDates = new Set(item.workshops.map(ws => ws.workshopDate));
+  const upcoming = item.parsed.scheduled.filter(ws => ws.workshopDate >= today && !completedDates.has(ws.workshopDate));
+  return Object.assign(item, {
+    isNew: !existing,
+    incomplete: Array.from(new Set(item.parsed.incomplete)).filter(date => date < today && !completedDates.has(date)),
+    scheduled: upcoming.filter(ws => !knownSessions.includes(ws.workshopDate)),
+    // A session pasted again with new registration counts updates its inputs
+    updatesSessions: upcoming.filter(ws => knownSessions.includes(ws.workshopDate)
+      && Object.keys(sessionCountChanges(item.key, ws)).length > 0),
+    completesSessions: knownSessions.filter(date => completedDates.has(date)),
+  }, diffWorkshops(existing ? existing.workshops : [], item.workshops));
+}
+
+function renderImportPreview() {
+  const el = document.getElementById('import-preview');
+  if (!pendingImport) {
+    el.innerHTML = '';
+    el.style.display = 'none';
+    return;
+  }
+  const { items, skipped, errors } = pendingImport;
+  const selectedCount = items.filter(it => it.selected).length;
+
+  const notes = [];
+  if (skipped.length > 0) {
+    notes.push(`<strong>⏭ Skipped ${skipped.length}</strong> (no completed or upcoming workshops): ${esc(skipped.join(', '))}`);
+  }
+  if (errors.length > 0) {
+    notes.push(`<strong>⚠ ${errors.length} error${errors.length !== 1 ? 's' : ''}:</strong> ${errors.map(e => esc(e)).join('; ')}`);
+  }
+
+  const cards = items.map((it, idx) => {
+    const completes = date => (it.completesSessions.includes(date) ? ' <span class="pv-completes">✓ completes session</span>' : '');
+    const rows = [
+      ...it.added.map(ws => `<tr class="pv-added">
+        <td>${ws.workshopDate}</td><td>Add</td><td class="pv-old">—</td><td>${summarizeWorkshop(ws)}${completes(ws.workshopDate)}</td></tr>`),
+      ...it.overwritten.map(o => `<tr class="pv-overwrite">
+        <td>${o.new.workshopDate}</td><td>Overwrite</td><td class="pv-old">${summarizeWorkshop(o.old)}</td><td>${summarizeWorkshop(o.new)}${completes(o.new.workshopDate)}</td></tr>`),
+      ...it.scheduled.map(ws => {
+        const reg = ws.totalFedsClose + ws.totalSpsClose;
+        return `<tr class="pv-scheduled">
+        <td>${ws.workshopDate}</td><td>Schedule</td><td class="pv-old">—</td><td>Upcoming — forecast separately${reg ? ` (${reg} registered so far)` : ''}</td></tr>`;
+      }),
+      ...it.updatesSessions.map(ws => {
+        const inputs = forecasts[it.key].sessions[ws.workshopDate];
+        const next = Object.assign({}, inputs, sessionCountChanges(it.key, ws));
+        return `<tr class="pv-scheduled">
+        <td>${ws.workshopDate}</td><td>Update</td>
+        <td class="pv-old">${sessionRegText(inputs.currentFeds, inputs.currentSps, inputs.confirmedFeds, inputs.confirmedSps)}</td>
+        <td>${sessionRegText(next.currentFeds, next.currentSps, next.confirmedFeds, next.confirmedSps)}</td></tr>`;
+      }),
+      ...it.incomplete.map(date => `<tr class="pv-dropped">
+        <td>${esc(date)}</td><td>Dropped</td><td class="pv-old">—</td><td>Incomplete (no close/attendance numbers)</td></tr>`),
+    ].join('');
+    const counts = [
+      `+${it.added.length} new`,
+      `${it.overwritten.length} overwritten`,
+      it.unchanged.length ? `${it.unchanged.length} unchanged` : '',
+      it.scheduled.length ? `${it.scheduled.length} upcoming` : '',
+      it.updatesSessions.length ? `${it.updatesSessions.length} session${it.updatesSessions.length !== 1 ? 's' : ''} updated` : '',
+      it.completesSessions.length ? `${it.completesSessions.length} session${it.completesSessions.length !== 1 ? 's' : ''} completed` : '',
+      it.incomplete.length ? `${it.incomplete.length} dropped` : '',
+    ].filter(Boolean).join(' · ');
+
+    const suggestion = !it.suggestedKey ? '' : it.key === it.suggestedKey
+      ? `<div class="preview-suggestion">≈ Pasted as “${esc(it.pastedLocation)}”, which looks like this existing record — importing into it.
+          <button class="row-btn" data-action="import-as-new" data-idx="${idx}">Keep as a new advisor</button></div>`
+      : `<div class="preview-suggestion">≈ Looks like existing ${esc(advisors[it.suggestedKey].code)} (${esc(advisors[it.suggestedKey].location)}).
+          <button class="row-btn" data-action="import-into-suggested" data-idx="${idx}">Import into that record</button></div>`;
+    const unknown = it.unknownLabels.length
+      ? `<div class="preview-suggestion">⚠ Row${it.unknownLabels.length !== 1 ? 's' : ''} not recognized, left out: ${it.unknownLabels.map(l => `“${esc(l)}”`).join(', ')} — map ${it.unknownLabels.length !== 1 ? 'them' : 'it'} in Settings → Row labels.</div>`
+      : '';
+
+    return `
+      <div class="preview-card${it.selected ? '' : ' deselected'}">
+        <label class="preview-card-header">
+          <input type="checkbox" data-action="toggle-import-item" data-idx="${idx}" ${it.selected ? 'checked' : ''}>
+          <span class="advisor-badge">${esc(it.code)}</span>
+          <span class="advisor-location">${esc(it.location)}</span>
+          <span class="preview-tag ${it.isNew ? 'tag-new' : 'tag-update'}">${it.isNew ? 'NEW ADVISOR' : 'UPDATE'}</span>
+          <span class="advisor-meta">${counts}</span>
+        </label>
+        ${suggestion}
+        ${unknown}
+        ${rows ? `<table class="history-table preview-table">
+          <thead><tr><th>Date</th><th>Change</th><th>Current</th><th>Incoming</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>` : '<div class="preview-none">No changes — every workshop matches what is stored.</div>'}
+      </div>`;
+  }).join('');
+
+  el.innerHTML = `
+    <div class="preview-title">Review import — ${items.length} advisor block${items.length !== 1 ? 's' : ''} detected</div>
+    ${notes.length ? `<div class="msg msg-err">${notes.join('<br>')}</div>` : ''}
+    ${cards}
+    <div class="btn-row">
+      <button class="btn btn-primary" data-action="confirm-import" ${selectedCount === 0 ? 'disabled' : ''}>Confirm Import (${selectedCount})</button>
+      <button class="btn btn-sm btn-muted" data-action="cancel-import">Cancel</button>
+    </div>`;
+  el.style.display = 'block';
+}
+
+function importAdvisorText(text) {
+  pendingImport = buildImportPreview(text);
+  const { items, skipped, errors } = pendingImport;
+
+  if (items.length === 0) {
+    pendingImport = null;
+    renderImportPreview();
+    if (skipped.length === 0) {
+      showMsg(errors.length === 1 ? esc(errors[0]) : `All ${errors.length} blocks failed. First error: ${esc(errors[0])}`, true, 15000);
+    } else {
+      showMsg(`<strong>⏭ Skipped ${skipped.length}</strong> (no completed or upcoming workshops): ${esc(skipped.join(', '))}`, errors.length > 0, 15000);
+    }
+    return;
+  }
+  renderImportPreview();
+}
+
+function commitImport() {
+  if (!pendingImport) return;
+  const selected = pendingImport.items.filter(it => it.selected);
+  const before = snapshotKeys(selected.map(it => it.key));
+  let totalWorkshops = 0;
+
+  selected.forEach(it => {
+    if (!advisors[it.key]) {
+      advisors[it.key] = { code: it.code, location: it.location, workshops: it.workshops };
+    } else {
+      advisors[it.key].workshops = mergeWorkshops(advisors[it.key].workshops, it.workshops);
+    }
+    advisors[it.key].lastUpdated = advisors[it.key].lastImported = Date.now();
+    if (!forecasts[it.key]) forecasts[it.key] = defaultForecast();
+    const sessions = forecasts[it.key].sessions || (forecasts[it.key].sessions = {});
+    it.completesSessions.forEach(date => completeSession(it.key, date));
+    reopenUndatedInputs(it.key, it.workshops.map(ws => ws.workshopDate));
+    it.scheduled.forEach(ws => { sessions[ws.workshopDate] = newSessionInputs(it.key, ws); });
+    it.updatesSessions.forEach(ws => {
+      const inputs = Object.assign(sessions[ws.workshopDate], sessionCountChanges(it.key, ws));
+      logSnapshot(it.key, ws.workshopDate, todayIso(), inputs.currentFeds, inputs.currentSps);
+    });
+    totalWorkshops += it.added.length + it.overwritten.length;
+  });
+
+  if (selected.length > 0) {
+    recordChange('import',
+      `Import of ${selected.length} advisor${selected.length !== 1 ? 's' : ''}`,
+      selected.map(it => {
+        const changed = [
+          it.isNew ? 'new advisor' : '',
+          `${it.added.length} added`,
+          it.overwritten.length ? `${it.overwritten.length} overwritten (${it.overwritten.map(o => o.new.workshopDate).join(', ')})` : '',
+          it.scheduled.length ? `${it.scheduled.length} upcoming scheduled` : '',
+          it.updatesSessions.length ? `registrations updated for ${it.updatesSessions.map(ws => ws.workshopDate).join(', ')}` : '',
+          it.completesSessions.length ? `completed ${it.completesSessions.join(', ')}` : '',
+        ].filter(Boolean).join(', ');
+        return `${it.code} (${it.location}): ${changed}`;
+      }),
+      before);
+  }
+
+  const leftOut = pendingImport.items.length - selected.length;
+  pendingImport = null;
+  saveData();
+  document.getElementById('paste-area').value = '';
+  renderImportPreview();
+
+  const parts = [`<strong>✅ Imported ${selected.length} advisor${selected.length !== 1 ? 's' : ''}</strong> (${totalWorkshops} workshops added or updated)`];
+  if (leftOut > 0) parts.push(`⏭ Left out ${leftOut} deselected block${leftOut !== 1 ? 's' : ''}`);
+  parts.push('<button class="copy-btn" data-action="undo-last">↶ Undo this import</button>');
+  showMsg(parts.join('<br>'), false, 10000);
+  renderAll();
+}
+
+// --- Decision Report ---
+// Every advisor (and upcoming session) with inputs, in the Forecast tab's current search,
+// filters and sort, as CSV, a Markdown table or a plain-text email summary (report.js).
+const REPORT_FORMATS = {
+  csv: { label: 'CSV', ext: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown table', ext: 'md', mimeType: 'text/markdown' },
+  email: { label: 'Email text', ext: 'txt', mimeType: 'text/plain' },
+};
+
+function buildReportRows() {
+  const rows = [];
+  getSortedForecastKeys().filter(forecastVisible).forEach(key => {
+    const adv = advisors[key];
+    const dates = sessionDates(key);
+    (dates.length ? dates : ['']).forEach(session => {
+      const r = forecastFor(key, session);
+      if (!r.hasData) return;
+      const reachable = r.closeAt > 0;
+      rows.push({
+        code: adv.code,
+        location: adv.location,
+        session,
+        sessionLabel: session ? formatSessionDate(session) : '',
+        registered: r.totalReg,
+        confirmed: r.totalConfirmed,
+        expected: r.expectedAtt.toFixed(1),
+        target: `${r.target}${r.targetType === 'yes' ? ' Yes' : ''}`,
+        closeAt: reachable ? r.closeAt : '',
+        buffer: reachable ? (r.buffer >= 0 ? `+${r.buffer}` : String(r.buffer)) : '',
+        confidence: r.confidence.label,
+        decision: r.shouldClose ? 'CLOSE' : 'KEEP OPEN',
+      });
+    });
+  });
+  return rows;
+}
+
+function buildReport(format, rows = buildReportRows()) {
+  if (format === 'markdown') return reportToMarkdown(rows);
+  if (format === 'email') {
+    const filtered = forecastSearchQuery() || JSON.stringify(forecastView) !== JSON.stringify(defaultForecastView());
+    return reportToEmail(rows, { date: new Date(), filtered });
+  }
+  return reportToCsv(rows);
+}
+
+function renderReportPreview() {
+  const rows = buildReportRows();
+  document.getElementById('report-text').value = buildReport(document.getElementById('report-format').value, rows);
+  document.getElementById('report-count').textContent =
+    `${rows.length} workshop${rows.length !== 1 ? 's' : ''} with inputs in the current view`;
+}
+
+// --- Bulk Registrations ---
+// A pasted table of current registrations for many advisors (Forecast → Bulk update).
+// Like an import it goes through a preview first: each row is matched to an advisor, rows
+// that cannot be matched (or only loosely) get a picker, and nothing changes until Apply.
+let pendingBulk = null;
+
+const BULK_FIELD_LABELS = {
+  currentFeds: 'Feds', currentSps: 'Spouses', confirmedFeds: 'Conf. feds', confirmedSps: 'Conf. spouses', target: 'Target',
+};
+const BULK_MATCH_NOTES = {
+  format: 'location written differently',
+  only: 'location differs — only location for this code',
+  similar: 'closest location — check',
+};
+
+function buildBulkPreview(text) {
+  const { rows, errors } = parseRegistrationRows(text);
+  const known = Object.keys(advisors).map(key => ({ key, code: advisors[key].code, location: advisors[key].location }));
+  return {
+    errors,
+    rows: rows.map(row => Object.assign(row, matchAdvisor(row.code, row.location, known))),
+  };
+}
+
+// Pasted numbers go to the advisor's next upcoming session, or the card's own inputs
+function bulkTargetInputs(key) {
+  const session = headlineSession(key);
+  return { session, inputs: forecastInputsFor(key, session) };
+}
+
+function renderBulkPreview() {
+  const el = document.getElementById('bulk-preview');
+  if (!pendingBulk) {
+    el.innerHTML = '';
+    return;
+  }
+  const { rows, errors } = pendingBulk;
+  const keys = Object.keys(advisors).sort();
+  const assigned = rows.filter(row => row.key);
+  const lineFor = {};
+  assigned.forEach(row => { lineFor[row.key] = row.line; });  // a later row for the same advisor wins
+
+  const body = rows.map((row, idx) => {
+    const others = keys.filter(k => !row.candidates.includes(k));
+    const options = [`<option value="">— skip this row —</option>`]
+      .concat(row.candidates.concat(others).map(k =>
+        `<option value="${esc(k)}" ${row.key === k ? 'selected' : ''}>${esc(advisors[k].code)} — ${esc(advisors[k].location)}</option>`));
+    let change = '';
+    let note = row.key ? (BULK_MATCH_NOTES[row.how] || '') : (row.how === 'manual' ? '' : 'no match — pick an advisor');
+    if (row.key) {
+      const { session, inputs } = bulkTargetInputs(row.key);
+      change = BULK_REGISTRATION_FIELDS
+        .filter(f => row.values[f] !== '' && row.values[f] !== String(inputs[f]))
+        .map(f => `${BULK_FIELD_LABELS[f]} ${inputs[f] === '' ? '—' : esc(inputs[f])}→${row.values[f]}`)
+        .join(', ') || 'no change';
+      if (session) change += ` <span class="pv-old">(${esc(formatSessionDate(session))} session)</span>`;
+      if (lineFor[row.key] !== row.line) note = `overridden by line ${lineFor[row.key]}`;
+    }
+    return `<tr class="${row.key ? (row.how === 'exact' || row.how === 'manual' ? '' : 'bulk-loose') : 'bulk-unmatched'}">
+        <td>${row.line}</td>
+        <td>${esc(row.code)} <span class="pv-old">${esc(row.location)}</span></td>
+        <td>
+          <select class="forecast-sort bulk-assign" data-bulk-idx="${idx}">${options.join('')}</select>
+          ${note ? `<div class="bulk-note">${note}</div>` : ''}
+        </td>
+        <td>${change}</td>
+      </tr>`;
+  }).join('');
+
+  const applying = new Set(assigned.map(row => row.key)).size;
+  el.innerHTML = `
+    ${errors.length ? `<div class="msg msg-err"><strong>⚠ ${errors.length} row${errors.length !== 1 ? 's' : ''} ignored:</strong> ${errors.map(e => esc(e)).join('; ')}</div>` : ''}
+    ${rows.length ? `<table class="history-table preview-table bulk-table">
+      <thead><tr><th>Line</th><th>Pasted</th><th>Advisor</th><th>Change</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>` : ''}
+    <div class="btn-row">
+      <button class="btn btn-primary" data-action="apply-bulk" ${applying === 0 ? 'disabled' : ''}>Apply to ${applying} advisor${applying !== 1 ? 's' : ''}</button>
+      <button class="btn btn-sm btn-muted" data-action="cancel-bulk">Cancel</button>
+    </div>`;
+}
+
+function applyBulkUpdate() {
+  if (!pendingBulk) return 0;
+  const rows = pendingBulk.rows.filter(row => row.key && advisors[row.key]);
+  const keys = [...new Set(rows.map(row => row.key))];
+  if (keys.length === 0) return 0;
+  const before = snapshotKeys(keys);
+  const details = [];
+
+  rows.forEach(row => {
+    if (!forecasts[row.key]) forecasts[row.key] = defaultForecast();
+    const session = headlineSession(row.key);
+    const inputs = session ? forecasts[row.key].sessions[session] : forecasts[row.key];
+    BULK_REGISTRATION_FIELDS.forEach(f => { if (row.values[f] !== '') inputs[f] = row.values[f]; });
+    if (session && (row.values.currentFeds !== '' || row.values.currentSps !== '')) {
+      logSnapshot(row.key, session, todayIso(), inputs.currentFeds, inputs.currentSps);
+    }
+    const adv = advisors[row.key];
+    details.push(`${adv.code} (${adv.location})${session ? ` ${session}` : ''}: ${inputs.currentFeds || 0} feds + ${inputs.currentSps || 0} spouses registered, target ${inputs.target}`);
+  });
+
+  recordChange('bulk-update', `Bulk registration update (${keys.length} advisor${keys.length !== 1 ? 's' : ''})`, details, before);
+  pendingBulk = null;
+  saveData();
+  return keys.length;
 }
 
 // --- Event Handlers ---
 document.addEventListener('DOMContentLoaded', () => {
-  loadData(() => {
+  loadData((migration) => {
     const sortSelect = document.getElementById('forecast-sort');
     if (sortSelect) sortSelect.value = currentForecastSort;
+    const warnings = [];
+    if (storageReadOnly) {
+      warnings.push(`⚠ Stored data was saved by a newer version of this extension (schema v${migration.fromVersion}; this one reads up to v${SCHEMA_VERSION}). ` +
+        'It is shown as is, but nothing you change here is saved — update the extension.');
+    }
+    if (migration.problems.length > 0) {
+      warnings.push(`⚠ Upgrading stored data (v${migration.fromVersion} → v${migration.toVersion}) skipped ${migration.problems.length} record${migration.problems.length !== 1 ? 's' : ''}: ` +
+        esc(migration.problems.map(p => `${p.key} (${p.reason})`).join('; ')) +
+        '. They are kept aside in storage and are not used in forecasts.');
+    }
+    if (migration.notes.length > 0) {
+      warnings.push(`⚠ Upgrading stored data left ${migration.notes.length} record${migration.notes.length !== 1 ? 's' : ''} as they were: ` +
+        esc(migration.notes.map(n => `${n.key} ${n.note}`).join('; ')) + '.');
+    }
+    if (warnings.length > 0) {
+      const warning = document.getElementById('migration-warning');
+      warning.innerHTML = warnings.join('<br>');
+      warning.style.display = 'block';
+    }
     renderAll();
   });
 
@@ -745,6 +2241,7 @@ document.addEventListener('DOMContentLoaded', () => {
       document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
       tab.classList.add('active');
       document.getElementById('panel-' + tab.dataset.tab).classList.add('active');
+      if (tab.dataset.tab === 'accuracy' && accuracyStale) renderAccuracy();
     });
   });
 
@@ -752,85 +2249,67 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btn-import').addEventListener('click', () => {
     const text = document.getElementById('paste-area').value;
     if (!text.trim()) { showMsg('Nothing to paste.', true); return; }
+    importAdvisorText(normalizeImportText(text));
+  });
 
-    const blocks = splitMultiAdvisorBlocks(text);
-    const successes = [];
-    const skipped = [];  // no data / future workshops — not real errors
-    const errors = [];   // real parsing failures
-    let totalWorkshops = 0;
-
-    // Patterns that indicate a "skipped" entry rather than a real error
-    const SKIP_PATTERNS = [
-      /no completed workshops/i,
-      /no valid workshop dates/i,
-      /0 attendance/i,
-      /future workshops/i,
-      /could not find row labels/i,
-    ];
-
-    for (const block of blocks) {
-      try {
-        const result = parsePastedAdvisorBlock(block);
-        const key = advisorKey(result.code, result.location);
-        const isNew = !advisors[key];
-
-        if (isNew) {
-          advisors[key] = { code: result.code, location: result.location, workshops: result.workshops };
-        } else {
-          const existingByDate = {};
-          advisors[key].workshops.forEach(ws => { existingByDate[ws.workshopDate] = ws; });
-          result.workshops.forEach(ws => { existingByDate[ws.workshopDate] = ws; });
-          advisors[key].workshops = Object.values(existingByDate);
-        }
+  // Bulk registration update (Forecast tab)
+  document.getElementById('btn-bulk-toggle').addEventListener('click', () => {
+    const panel = document.getElementById('bulk-panel');
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
 
-        advisors[key].lastUpdated = Date.now();
-        if (!forecasts[key]) forecasts[key] = { currentFeds: '', currentSps: '', confirmedFeds: '', confirmedSps: '', target: '35' };
-
-        totalWorkshops += result.workshops.length;
-        successes.push(`${result.code} (${result.location})`);
-      } catch (e) {
-        const firstLine = block.trim().split('\n')[0] || '';
-        const label = firstLine.split('\t')[0].trim() || 'Unknown';
-        const msg = e.message;
-        if (SKIP_PATTERNS.some(p => p.test(msg))) {
-          skipped.push(label);
-        } else {
-          errors.push(`${label}: ${msg}`);
-        }
-      }
-    }
+  // Decision report (Forecast tab)
+  document.getElementById('btn-report-toggle').addEventListener('click', () => {
+    const panel = document.getElementById('report-panel');
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) renderReportPreview();
+  });
 
-    saveData();
-    document.getElementById('paste-area').value = '';
+  document.getElementById('report-format').addEventListener('change', renderReportPreview);
 
-    // Build a structured import summary
-    const parts = [];
-    if (successes.length > 0) {
-      parts.push(`<strong>✅ Imported ${successes.length} advisor${successes.length !== 1 ? 's' : ''}</strong> (${totalWorkshops} workshops)`);
-    }
-    if (skipped.length > 0) {
-      parts.push(`<strong>⏭ Skipped ${skipped.length}</strong> (no completed workshops): ${esc(skipped.join(', '))}`);
-    }
-    if (errors.length > 0) {
-      parts.push(`<strong>⚠ ${errors.length} error${errors.length !== 1 ? 's' : ''}:</strong> ${errors.map(e => esc(e)).join('; ')}`);
-    }
+  document.getElementById('btn-report-copy').addEventListener('click', (e) => {
+    const btn = e.currentTarget;
+    navigator.clipboard.writeText(buildReport(document.getElementById('report-format').value)).then(() => {
+      btn.textContent = '✓ Copied!';
+      setTimeout(() => { btn.textContent = '📋 Copy'; }, 1500);
+    });
+  });
 
-    const hasProblems = errors.length > 0;
-    const msgHtml = parts.join('<br>');
-    const duration = parts.length > 1 ? 15000 : 6000;
-    if (successes.length === 0 && skipped.length === 0) {
-      showMsg(errors.length === 1 ? esc(errors[0]) : `All ${errors.length} blocks failed. First error: ${esc(errors[0])}`, true, duration);
-    } else {
-      showMsg(msgHtml, hasProblems, duration);
-    }
+  document.getElementById('btn-report-download').addEventListener('click', () => {
+    const format = document.getElementById('report-format').value;
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`workshop-decisions-${stamp}.${REPORT_FORMATS[format].ext}`, buildReport(format), REPORT_FORMATS[format].mimeType);
+  });
 
-    renderAll();
+  document.getElementById('btn-report-close').addEventListener('click', () => {
+    document.getElementById('report-panel').style.display = 'none';
+  });
+
+  document.getElementById('btn-bulk-preview').addEventListener('click', () => {
+    const text = document.getElementById('bulk-area').value;
+    if (!text.trim()) { showMsg('Nothing to paste.', true, 5000, 'bulk-msg'); return; }
+    pendingBulk = buildBulkPreview(text);
+    renderBulkPreview();
+  });
+
+  document.getElementById('bulk-preview').addEventListener('change', (e) => {
+    const sel = e.target.closest('select[data-bulk-idx]');
+    if (!sel || !pendingBulk) return;
+    const row = pendingBulk.rows[Number(sel.dataset.bulkIdx)];
+    row.key = sel.value || null;
+    row.how = 'manual';
+    renderBulkPreview();
   });
 
   // Delete all data
   document.getElementById('btn-delete-all').addEventListener('click', () => {
-    const count = Object.keys(advisors).length;
-    if (confirm(`Delete ALL data for ${count} advisor(s)? This cannot be undone.`)) {
+    const keys = Object.keys(advisors);
+    const count = keys.length;
+    if (confirm(`Delete ALL data for ${count} advisor(s)? You can undo this from History on the Stored Data tab.`)) {
+      const before = snapshotKeys(keys);
+      recordChange('delete-all', `Delete all data (${count} advisor${count !== 1 ? 's' : ''})`,
+        keys.map(k => `${advisors[k].code} (${advisors[k].location}): ${advisors[k].workshops.length} workshops`), before);
       advisors = {};
       forecasts = {};
       saveData();
@@ -838,10 +2317,76 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // File upload — read file and trigger import
+  // Backup export
+  document.getElementById('btn-export-backup').addEventListener('click', () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`workshop-trend-backup-${stamp}.json`, JSON.stringify(buildBackup(), null, 2), 'application/json');
+    const count = Object.keys(advisors).length;
+    showMsg(`Exported ${count} advisor record${count !== 1 ? 's' : ''}.`, false, 4000, 'data-msg');
+  });
+
+  // Backup restore — validate first, then confirm, then write
+  document.getElementById('restore-upload').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const mode = document.getElementById('restore-mode').value;
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      let backup, migrated;
+      try {
+        backup = JSON.parse(evt.target.result);
+        migrated = validateBackup(backup);
+      } catch (err) {
+        const msg = err instanceof SyntaxError ? 'File is not valid JSON.' : err.message;
+        showMsg(`Restore failed: ${esc(msg)} Nothing was changed.`, true, 10000, 'data-msg');
+        return;
+      }
+
+      const incoming = Object.keys(migrated.data.advisors).length;
+      const current = Object.keys(advisors).length;
+      const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date';
+      const question = mode === 'replace'
+        ? `Replace ALL current data (${current} advisor(s)) with the backup from ${exported} (${incoming} advisor(s))?`
+        : `Merge the backup from ${exported} (${incoming} advisor(s)) into the current data? Workshops with matching dates will be overwritten.`;
+      if (!confirm(question)) return;
+
+      const touched = mode === 'replace'
+        ? Object.keys(advisors).concat(Object.keys(migrated.data.advisors))
+        : Object.keys(migrated.data.advisors);
+      const before = snapshotKeys([...new Set(touched)]);
+      const problems = restoreBackup(backup, migrated, mode);
+      saveDecisionLog();
+      recordChange('restore', `${mode === 'replace' ? 'Replace' : 'Merge'} from backup (${incoming} advisor${incoming !== 1 ? 's' : ''})`,
+        [`Backup exported ${exported}`], before);
+      saveData();
+      renderAll();
+      const sortSelect = document.getElementById('forecast-sort');
+      if (sortSelect) sortSelect.value = currentForecastSort;
+      const skippedNote = problems.length > 0
+        ? `<br>⚠ ${problems.length} record${problems.length !== 1 ? 's' : ''} could not be upgraded and were skipped: ${esc(problems.map(p => `${p.key} (${p.reason})`).join('; '))}`
+        : '';
+      const { notes } = migrated;
+      const keptNote = notes.length > 0
+        ? `<br>⚠ ${notes.length} record${notes.length !== 1 ? 's were' : ' was'} left as in the backup: ${esc(notes.map(n => `${n.key} ${n.note}`).join('; '))}`
+        : '';
+      showMsg(`${mode === 'replace' ? 'Restored' : 'Merged'} ${incoming} advisor record${incoming !== 1 ? 's' : ''} from backup.${skippedNote}${keptNote}`, problems.length > 0 || notes.length > 0, 10000, 'data-msg');
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  });
+
+  // File upload — read file and trigger import (.xlsx opens the sheet picker instead)
   document.getElementById('file-upload').addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    if (/\.xlsx$/i.test(file.name)) {
+      file.arrayBuffer()
+        .then(readXlsxWorkbook)
+        .then(workbook => showXlsxOptions(file.name, workbook))
+        .catch(err => showMsg(esc(err.message), true));
+      e.target.value = '';
+      return;
+    }
     const reader = new FileReader();
     reader.onload = (evt) => {
       document.getElementById('paste-area').value = evt.target.result;
@@ -851,14 +2396,85 @@ document.addEventListener('DOMContentLoaded', () => {
     e.target.value = '';
   });
 
-  // Forecast search
+  // Workbook sheet/range import
+  document.getElementById('btn-xlsx-import').addEventListener('click', () => {
+    if (!pendingWorkbook) return;
+    const sheet = pendingWorkbook.sheets[Number(document.getElementById('xlsx-sheet').value)];
+    const range = document.getElementById('xlsx-range').value.trim();
+    let rows;
+    try {
+      rows = range ? sliceGrid(sheet.rows, range) : sheet.rows;
+    } catch (err) {
+      showMsg(esc(err.message), true);
+      return;
+    }
+    if (rows.length === 0) { showMsg(`Sheet "${esc(sheet.name)}" has no data in that range.`, true); return; }
+    hideXlsxOptions();
+    importAdvisorText(gridToTsv(rows));
+  });
+
+  document.getElementById('btn-xlsx-cancel').addEventListener('click', hideXlsxOptions);
+
+  // Workshop edit row: Enter saves, Escape cancels
+  document.getElementById('advisor-list').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.matches('input[data-rename]')) {
+      e.target.closest('.advisor-actions').querySelector('[data-action="rename-advisor"]').click();
+      return;
+    }
+    const row = e.target.closest('tr.edit-row');
+    if (!row) return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submitWorkshopEdit(row, row.querySelector('[data-action="save-workshop"]').dataset.key);
+    } else if (e.key === 'Escape') {
+      editingWorkshop = null;
+      renderStoredData();
+    }
+  });
+
+  // Workshop exclusion notes (Stored Data)
+  document.getElementById('advisor-list').addEventListener('change', (e) => {
+    const inp = e.target.closest('input[data-note-key]');
+    if (!inp) return;
+    const adv = advisors[inp.dataset.noteKey];
+    const ws = adv && adv.workshops.find(w => w.workshopDate === inp.dataset.date);
+    if (!ws) return;
+    const note = inp.value.trim();
+    if (note) ws.note = note;
+    else delete ws.note;
+    saveData();
+  });
+
+  // Settings
+  ['set-weighting', 'set-half-life', 'set-last-n'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateWeightingSettings);
+  });
+  ['set-close-mode', 'set-close-confidence'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateCloseRuleSettings);
+  });
+  ['set-baseline-mode', 'set-baseline-strength'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateBaselineSettings);
+  });
+  document.getElementById('set-label-aliases').addEventListener('change', updateLabelAliasSettings);
+  document.getElementById('set-label-test').addEventListener('input', renderLabelTest);
+
+  // Forecast search and filters
   document.getElementById('forecast-search').addEventListener('input', () => {
-    applyForecastSearch();
+    applyForecastFilters();
+  });
+
+  [['filter-decision', 'decision'], ['filter-confidence', 'confidence'], ['filter-stale', 'staleDays']].forEach(([id, filter]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      forecastView = normalizeForecastView(Object.assign({}, forecastView, { [filter]: e.target.value }));
+      saveData();
+      applyForecastFilters();
+    });
   });
 
   // Forecast sort
   document.getElementById('forecast-sort').addEventListener('change', (e) => {
     currentForecastSort = e.target.value;
+    saveData();
     renderForecast();
   });
 
@@ -883,11 +2499,65 @@ document.addEventListener('DOMContentLoaded', () => {
       toggle.classList.toggle('expanded');
     }
 
+    if (btn.dataset.action === 'rename-advisor') {
+      const box = btn.closest('.advisor-actions');
+      const field = name => box.querySelector(`[data-rename="${name}"]`).value;
+      const result = renameAdvisor(btn.dataset.key, field('code'), field('location'));
+      if (result.error) {
+        box.querySelector('.edit-errors').textContent = result.error;
+        return;
+      }
+      if (result.mergeInto) {
+        const target = advisors[result.mergeInto];
+        if (!confirm(`${target.code} (${target.location}) already exists. Merge this record into it?`)) return;
+        startMerge(btn.dataset.key, result.mergeInto);
+        renderStoredData();
+        return;
+      }
+      saveData();
+      renderAll();
+      // Keep the renamed card open
+      const sid = safeId(result.key);
+      const body = document.getElementById('body-' + sid);
+      if (body) body.classList.add('show');
+      const toggle = document.getElementById('toggle-' + sid);
+      if (toggle) toggle.classList.add('expanded');
+      const adv = advisors[result.key];
+      showMsg(`✓ Renamed to ${esc(adv.code)} (${esc(adv.location)}). <button class="copy-btn" data-action="undo-last">↶ Undo</button>`, false, 8000, 'data-msg');
+    }
+
+    if (btn.dataset.action === 'start-merge') {
+      const into = btn.closest('.advisor-actions').querySelector('.merge-target').value;
+      startMerge(btn.dataset.key, into);
+      renderStoredData();
+    }
+
+    if (btn.dataset.action === 'merge-choice' && pendingMerge) {
+      pendingMerge.choices[btn.dataset.date] = btn.dataset.side;
+    }
+
+    if (btn.dataset.action === 'cancel-merge') {
+      pendingMerge = null;
+      renderStoredData();
+    }
+
+    if (btn.dataset.action === 'confirm-merge' && pendingMerge) {
+      const { from, into, choices } = pendingMerge;
+      pendingMerge = null;
+      if (!mergeAdvisors(from, into, choices)) return;
+      saveData();
+      renderAll();
+      const adv = advisors[into];
+      showMsg(`✓ Merged into ${esc(adv.code)} (${esc(adv.location)}). <button class="copy-btn" data-action="undo-last">↶ Undo</button>`, false, 8000, 'data-msg');
+    }
+
     if (btn.dataset.action === 'delete-advisor') {
       const key = btn.dataset.key;
       const adv = advisors[key];
       const label = adv ? `${adv.code} (${adv.location})` : key;
-      if (confirm(`Delete all data for ${label}? This cannot be undone.`)) {
+      if (confirm(`Delete all data for ${label}? You can undo this from History.`)) {
+        const before = snapshotKeys([key]);
+        recordChange('delete-advisor', `Delete ${label}`, adv ? [`${adv.workshops.length} workshops removed`] : [], before);
         delete advisors[key];
         delete forecasts[key];
         saveData();
@@ -895,7 +2565,165 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    if (btn.dataset.action === 'undo-last') {
+      const entry = undoLastChange();
+      if (entry) {
+        saveData();
+        renderAll();
+        const msgId = ['paste-msg', 'bulk-msg'].find(id => btn.closest('#' + id)) || 'data-msg';
+        showMsg(`↶ Reverted: ${esc(entry.summary)}`, false, 6000, msgId);
+      }
+    }
+
+    if (btn.dataset.action === 'revert-change') {
+      const entry = changeHistory.find(h => h.id === btn.dataset.id);
+      if (!entry) return;
+      const conflicts = laterConflicts(entry);
+      const warning = conflicts.length > 0
+        ? `\n\n${conflicts.length} later change(s) touched the same advisor(s) and will be lost:\n- ${conflicts.map(c => c.summary).join('\n- ')}`
+        : '';
+      if (!confirm(`Revert "${entry.summary}"?${warning}`)) return;
+      revertChange(entry.id);
+      saveData();
+      renderAll();
+      showMsg(`↶ Reverted: ${esc(entry.summary)}`, false, 6000, 'data-msg');
+    }
+
+    if (btn.dataset.action === 'toggle-history') {
+      document.getElementById('history-list').classList.toggle('show');
+      document.getElementById('history-toggle').classList.toggle('expanded');
+    }
+
+    if (btn.dataset.action === 'toggle-exclude') {
+      const adv = advisors[btn.dataset.key];
+      const ws = adv && adv.workshops.find(w => w.workshopDate === btn.dataset.date);
+      if (!ws) return;
+      if (btn.checked) ws.excluded = true;
+      else delete ws.excluded;
+      saveData();
+      renderAll();
+    }
+
+    if (btn.dataset.action === 'edit-workshop' || btn.dataset.action === 'add-workshop') {
+      editingWorkshop = { key: btn.dataset.key, date: btn.dataset.date || '' };
+      renderStoredData();
+      const row = document.querySelector('#advisor-list .edit-row input[data-field="workshopDate"]');
+      if (row) row.focus();
+    }
+
+    if (btn.dataset.action === 'cancel-workshop-edit') {
+      editingWorkshop = null;
+      renderStoredData();
+    }
+
+    if (btn.dataset.action === 'save-workshop') {
+      submitWorkshopEdit(btn.closest('tr.edit-row'), btn.dataset.key);
+    }
+
+    if (btn.dataset.action === 'delete-workshop') {
+      const key = btn.dataset.key;
+      const adv = advisors[key];
+      if (!adv) return;
+      if (adv.workshops.length === 1) {
+        showMsg('This is the only workshop on record — use "Delete" below to remove the whole advisor.', true, 6000, 'data-msg');
+        return;
+      }
+      if (!confirm(`Delete the ${btn.dataset.date} workshop for ${adv.code} (${adv.location})? You can undo this from History.`)) return;
+      if (deleteWorkshop(key, btn.dataset.date)) {
+        saveData();
+        renderAll();
+      }
+    }
+
+    if (btn.dataset.action === 'remove-session') {
+      const key = btn.dataset.key;
+      const session = btn.dataset.session;
+      const adv = advisors[key];
+      if (!adv || !forecasts[key] || !forecasts[key].sessions[session]) return;
+      if (!confirm(`Remove the ${session} session for ${adv.code} (${adv.location})? You can undo this from History.`)) return;
+      const before = snapshotKeys([key]);
+      delete forecasts[key].sessions[session];
+      recordChange('edit', `Remove ${adv.code} (${adv.location}) session ${session}`, [], before);
+      saveData();
+      renderAll();
+    }
+
+    if (btn.dataset.action === 'mark-closed') {
+      const { key } = btn.dataset;
+      const session = btn.dataset.session || '';
+      if (!logDecision(key, session, 'closed')) return;
+      (session ? forecasts[key].sessions[session] : forecasts[key]).closedAt = Date.now();
+      saveData();
+      renderDecisionLog();
+      updateForecastResults(key, session);
+    }
+
+    if (btn.dataset.action === 'log-snapshot') {
+      const { key, session } = btn.dataset;
+      const box = btn.closest('.pace-add');
+      const val = name => box.querySelector(`[data-snap="${name}"]`).value;
+      const date = parseDate(val('date'));
+      if (!date || date > session) {
+        box.querySelector('.edit-errors').textContent = 'Pick a date on or before the session date.';
+        return;
+      }
+      if (logSnapshot(key, session, date, val('feds'), val('sps'))) {
+        saveData();
+        refreshPaceSection(key, session);
+        box.querySelectorAll('[data-snap="feds"], [data-snap="sps"]').forEach(inp => { inp.value = ''; });
+        box.querySelector('.edit-errors').textContent = '';
+      }
+    }
+
+    if (btn.dataset.action === 'delete-snapshot') {
+      const { key, session, date } = btn.dataset;
+      const inputs = forecasts[key] && forecasts[key].sessions[session];
+      if (!inputs || !Array.isArray(inputs.snapshots)) return;
+      inputs.snapshots = inputs.snapshots.filter(sn => sn.date !== date);
+      saveData();
+      refreshPaceSection(key, session);
+    }
+
+    if ((btn.dataset.action === 'import-as-new' || btn.dataset.action === 'import-into-suggested') && pendingImport) {
+      const item = pendingImport.items[Number(btn.dataset.idx)];
+      if (!item) return;
+      describeImportItem(retargetImportItem(item, btn.dataset.action === 'import-as-new'
+        ? advisorKey(item.code, item.pastedLocation)
+        : item.suggestedKey, advisors));
+      renderImportPreview();
+    }
+
+    if (btn.dataset.action === 'toggle-import-item' && pendingImport) {
+      const item = pendingImport.items[Number(btn.dataset.idx)];
+      if (item) item.selected = btn.checked;
+      renderImportPreview();
+    }
+
+    if (btn.dataset.action === 'confirm-import') commitImport();
+
+    if (btn.dataset.action === 'cancel-import') {
+      pendingImport = null;
+      renderImportPreview();
+      showMsg('Import cancelled — nothing was saved.', false, 4000);
+    }
+
+    if (btn.dataset.action === 'apply-bulk') {
+      const count = applyBulkUpdate();
+      if (count === 0) return;
+      document.getElementById('bulk-area').value = '';
+      renderBulkPreview();
+      renderAll();
+      showMsg(`✅ Updated registrations for ${count} advisor${count !== 1 ? 's' : ''}. <button class="copy-btn" data-action="undo-last">↶ Undo</button>`, false, 10000, 'bulk-msg');
+    }
+
+    if (btn.dataset.action === 'cancel-bulk') {
+      pendingBulk = null;
+      renderBulkPreview();
+      document.getElementById('bulk-panel').style.display = 'none';
+    }
+
     if (btn.dataset.action === 'copy-result') {
+      if (logDecision(btn.dataset.key, btn.dataset.session || '', 'copy')) renderDecisionLog();
       navigator.clipboard.writeText(btn.dataset.text).then(() => {
         const orig = btn.textContent;
         btn.textContent = '✓ Copied!';
@@ -0,0 +1,283 @@
+// ============================================================
+// Workshop Trend Calculator - Advisor records
+// Shapes of the stored workshop and forecast-input records, how two versions of them are
+// combined (re-pasted sheets, merged advisors) and the schema migrations stored data and
+// backups go through. No DOM or chrome.* access, so it loads both in the popup and under
+// Node (tests).
+// ============================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  // Under Node, parser.js and forecast.js are modules rather than page globals
+  var { parseDate, parseNum, normalizeLocation } = require('./parser');
+  var { normalizeTargetType } = require('./forecast');
+}
+
+const WORKSHOP_NUMERIC_FIELDS = [
+  'totalFedsClose', 'totalSpsClose', 'totalFedConfirmed', 'totalSpsConfirmed',
+  'totalFedsAttended', 'totalSpsAttended', 'totalWalkins', 'totalYes',
+];
+
+function defaultForecastInputs() {
+  return { currentFeds: '', currentSps: '', confirmedFeds: '', confirmedSps: '', target: '35', targetType: 'attendance' };
+}
+
+function defaultForecast() {
+  return Object.assign(defaultForecastInputs(), { sessions: {} });
+}
+
+function normalizeForecastInputs(inputs) {
+  const filled = Object.assign(defaultForecastInputs(), inputs);
+  Object.keys(defaultForecastInputs()).forEach(f => {
+    filled[f] = filled[f] === null || filled[f] === undefined ? '' : String(filled[f]);
+  });
+  filled.targetType = normalizeTargetType(filled.targetType);
+  return filled;
+}
+
+// Sorts the Forecast tab can remember (currentForecastSort)
+const FORECAST_SORTS = ['az', 'za', 'updated', 'buffer', 'threshold', 'expected'];
+
+function isPlainObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val);
+}
+
+function advisorKey(code, location) {
+  return code + '|' + (location || '').trim();
+}
+
+function parseAdvisorKey(key) {
+  const idx = key.indexOf('|');
+  return { code: key.substring(0, idx), location: key.substring(idx + 1) };
+}
+
+// --- Merging ---
+// Flags set by hand in Stored Data, not by the sheet — a re-paste keeps them
+const WORKSHOP_ANNOTATION_FIELDS = ['excluded', 'note', 'regSnapshots'];
+
+// Incoming workshops overwrite existing ones with the same date (latest paste wins)
+function mergeWorkshops(existing, incoming) {
+  const byDate = {};
+  existing.forEach(ws => { byDate[ws.workshopDate] = ws; });
+  incoming.forEach(ws => {
+    const old = byDate[ws.workshopDate];
+    const merged = Object.assign({}, ws);
+    if (old) {
+      WORKSHOP_ANNOTATION_FIELDS.forEach(f => {
+        if (merged[f] === undefined && old[f] !== undefined) merged[f] = old[f];
+      });
+    }
+    byDate[ws.workshopDate] = merged;
+  });
+  return Object.values(byDate);
+}
+
+function workshopsEqual(a, b) {
+  return WORKSHOP_NUMERIC_FIELDS.every(f => (a[f] || 0) === (b[f] || 0));
+}
+
+// Same-date workshops in both records whose numbers differ
+function mergeConflicts(intoWorkshops, fromWorkshops) {
+  const byDate = {};
+  intoWorkshops.forEach(ws => { byDate[ws.workshopDate] = ws; });
+  return fromWorkshops
+    .filter(ws => byDate[ws.workshopDate] && !workshopsEqual(byDate[ws.workshopDate], ws))
+    .map(ws => ({ date: ws.workshopDate, into: byDate[ws.workshopDate], from: ws }));
+}
+
+// Dates only in one record are kept; for dates in both, the merged-into record's version
+// wins unless choices[date] is 'from'. Exclude flags and notes carry over either way.
+function combineWorkshops(intoWorkshops, fromWorkshops, choices) {
+  const intoDates = new Set(intoWorkshops.map(ws => ws.workshopDate));
+  const taken = fromWorkshops.filter(ws => !intoDates.has(ws.workshopDate) || choices[ws.workshopDate] === 'from');
+  return mergeWorkshops(intoWorkshops, taken).sort((a, b) => a.workshopDate.localeCompare(b.workshopDate));
+}
+
+// The merged-into record's own inputs win where it has registrations entered; upcoming
+// sessions from both are kept (its own version where both have the same date)
+function mergeForecastInputs(into, from) {
+  if (!from) return into || defaultForecast();
+  if (!into) return from;
+  const hasInputs = fc => ['currentFeds', 'currentSps', 'confirmedFeds', 'confirmedSps'].some(f => fc[f] !== '' && fc[f] != null);
+  const merged = Object.assign({}, hasInputs(into) || !hasInputs(from) ? into : from);
+  merged.sessions = Object.assign({}, from.sessions || {}, into.sessions || {});
+  return merged;
+}
+
+// Points an import block at another advisor key — an existing record in `known` (the
+// suggested near-miss location), or back to the code and location as pasted
+function retargetImportItem(item, key, known) {
+  const target = known[key] || { code: item.code, location: item.pastedLocation };
+  return Object.assign(item, { key, code: target.code, location: target.location });
+}
+
+// --- Schema Migrations ---
+// Stored data carries a schemaVersion; unversioned data is version 0. Each migration
+// upgrades the data from (version - 1) to version and runs in order on load (and on
+// restored backups). Records a migration cannot upgrade are pushed to `problems` as
+// { key, reason, record } and left out of the live data; records it upgrades but wants the
+// user to look at are pushed to `notes` as { key, note }. A migration that has shipped is
+// never changed — later defaults and settings get a migration of their own.
+const SCHEMA_VERSION = 5;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize advisor keys, coerce workshop fields, fill forecast defaults',
+    migrate(data, problems) {
+      // The forecast inputs and sorts as they were at version 1
+      const inputFields = ['currentFeds', 'currentSps', 'confirmedFeds', 'confirmedSps', 'target'];
+      const sorts = ['az', 'za', 'updated'];
+      const nextAdvisors = {};
+      for (const [oldKey, adv] of Object.entries(data.advisors || {})) {
+        if (!isPlainObject(adv) || typeof adv.code !== 'string' || !adv.code.trim()) {
+          problems.push({ key: oldKey, reason: 'Advisor record has no code', record: adv });
+          continue;
+        }
+        const code = adv.code.trim().toUpperCase();
+        const location = typeof adv.location === 'string' ? adv.location.trim() : '';
+        const key = advisorKey(code, location);
+
+        const workshops = [];
+        (Array.isArray(adv.workshops) ? adv.workshops : []).forEach(ws => {
+          const workshopDate = isPlainObject(ws) ? parseDate(ws.workshopDate) : '';
+          if (!workshopDate) {
+            problems.push({ key: oldKey, reason: 'Workshop has no valid date', record: ws });
+            return;
+          }
+          const upgraded = Object.assign({}, ws, { workshopDate });
+          WORKSHOP_NUMERIC_FIELDS.forEach(f => { upgraded[f] = Math.max(0, parseNum(ws[f])); });
+          workshops.push(upgraded);
+        });
+        workshops.sort((a, b) => a.workshopDate.localeCompare(b.workshopDate));
+
+        // Derive a missing lastUpdated from the most recent workshop so "Recently Updated" still sorts sensibly
+        const latest = workshops.length ? Date.parse(workshops[workshops.length - 1].workshopDate) : 0;
+        const lastUpdated = Number(adv.lastUpdated) || latest || 0;
+
+        if (nextAdvisors[key]) {
+          // Two old keys collapse onto one (e.g. "AVL|Greenbelt, MD " vs "AVL|Greenbelt, MD")
+          nextAdvisors[key].workshops = mergeWorkshops(nextAdvisors[key].workshops, workshops);
+          nextAdvisors[key].lastUpdated = Math.max(nextAdvisors[key].lastUpdated, lastUpdated);
+        } else {
+          nextAdvisors[key] = Object.assign({}, adv, { code, location, workshops, lastUpdated });
+        }
+        if (data.forecasts && data.forecasts[oldKey] && !(data.forecasts[key] && key !== oldKey)) {
+          data.forecasts[key] = data.forecasts[oldKey];
+        }
+      }
+
+      const nextForecasts = {};
+      Object.keys(nextAdvisors).forEach(key => {
+        const fc = isPlainObject(data.forecasts && data.forecasts[key]) ? data.forecasts[key] : {};
+        const filled = Object.assign({ target: '35' }, fc);
+        inputFields.forEach(f => {
+          filled[f] = filled[f] === null || filled[f] === undefined ? '' : String(filled[f]);
+        });
+        nextForecasts[key] = filled;
+      });
+
+      return {
+        advisors: nextAdvisors,
+        forecasts: nextForecasts,
+        currentForecastSort: sorts.includes(data.currentForecastSort) ? data.currentForecastSort : 'az',
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Add per-date inputs for upcoming workshops (forecasts[key].sessions)',
+    migrate(data, problems) {
+      const nextForecasts = {};
+      for (const [key, fc] of Object.entries(data.forecasts || {})) {
+        if (!isPlainObject(fc)) {
+          nextForecasts[key] = fc;
+          continue;
+        }
+        const sessions = {};
+        Object.entries(isPlainObject(fc.sessions) ? fc.sessions : {}).forEach(([date, inputs]) => {
+          const sessionDate = parseDate(date);
+          if (!sessionDate || !isPlainObject(inputs)) {
+            problems.push({ key, reason: 'Upcoming session has no valid date', record: { date, inputs } });
+            return;
+          }
+          sessions[sessionDate] = normalizeForecastInputs(inputs);
+        });
+        nextForecasts[key] = Object.assign({}, fc, { sessions });
+      }
+      return Object.assign({}, data, { forecasts: nextForecasts });
+    },
+  },
+  {
+    version: 3,
+    description: 'Normalize location formatting ("Greenbelt MD" → "Greenbelt, MD"), keeping records that would collapse together apart',
+    migrate(data, problems, notes) {
+      const nextAdvisors = {};
+      const nextForecasts = {};
+      const movedTo = {};
+      const stored = data.advisors || {};
+      for (const [oldKey, adv] of Object.entries(stored)) {
+        const location = normalizeLocation(adv.location);
+        const key = advisorKey(adv.code, location);
+        const fc = (data.forecasts || {})[oldKey];
+        if (key !== oldKey && (stored[key] || nextAdvisors[key])) {
+          // "Greenbelt MD" next to "Greenbelt, MD": merging here would pick one side's numbers
+          // for dates both have without asking, so the record stays as it was for Merge into
+          nextAdvisors[oldKey] = adv;
+          if (fc) nextForecasts[oldKey] = fc;
+          notes.push({ key: oldKey, note: `looks like ${key} — merge them from Stored Data` });
+          continue;
+        }
+        movedTo[oldKey] = key;
+        nextAdvisors[key] = Object.assign({}, adv, { location });
+        if (fc) nextForecasts[key] = fc;
+      }
+      const decisionLog = (data.decisionLog || []).map(entry => (movedTo[entry.key] && movedTo[entry.key] !== entry.key
+        ? Object.assign({}, entry, { key: movedTo[entry.key], location: parseAdvisorKey(movedTo[entry.key]).location })
+        : entry));
+      return Object.assign({}, data, { advisors: nextAdvisors, forecasts: nextForecasts, decisionLog });
+    },
+  },
+  {
+    version: 4,
+    description: 'Track the last sheet import separately (lastImported), starting from lastUpdated',
+    migrate(data) {
+      const nextAdvisors = {};
+      for (const [key, adv] of Object.entries(data.advisors || {})) {
+        nextAdvisors[key] = adv.lastImported || !adv.lastUpdated ? adv : Object.assign({}, adv, { lastImported: adv.lastUpdated });
+      }
+      return Object.assign({}, data, { advisors: nextAdvisors });
+    },
+  },
+  {
+    version: 5,
+    description: 'Fill forecast inputs added since version 1 (targetType) and reset a sort this version does not offer',
+    migrate(data) {
+      const nextForecasts = {};
+      for (const [key, fc] of Object.entries(data.forecasts || {})) {
+        nextForecasts[key] = isPlainObject(fc) ? Object.assign({}, fc, normalizeForecastInputs(fc)) : fc;
+      }
+      const currentForecastSort = FORECAST_SORTS.includes(data.currentForecastSort) ? data.currentForecastSort : 'az';
+      return Object.assign({}, data, { forecasts: nextForecasts, currentForecastSort });
+    },
+  },
+];
+
+function migrateStoredData(data, fromVersion) {
+  const problems = [], notes = [];
+  let version = fromVersion;
+  for (const m of MIGRATIONS) {
+    if (m.version <= version) continue;
+    data = m.migrate(data, problems, notes);
+    version = m.version;
+  }
+  return { data, fromVersion, toVersion: version, problems, notes };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WORKSHOP_NUMERIC_FIELDS, defaultForecastInputs, defaultForecast, normalizeForecastInputs, FORECAST_SORTS,
+    isPlainObject, advisorKey, parseAdvisorKey,
+    WORKSHOP_ANNOTATION_FIELDS, mergeWorkshops, workshopsEqual, mergeConflicts, combineWorkshops, mergeForecastInputs,
+    retargetImportItem, SCHEMA_VERSION, MIGRATIONS, migrateStoredData,
+  };
+}
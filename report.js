@@ -0,0 +1,71 @@
+// ============================================================
+// Workshop Trend Calculator - Decision report formatting
+// Turns report rows (one per advisor or upcoming session, built by the popup) into CSV,
+// a Markdown table or a plain-text email summary. No DOM or clock access — callers pass
+// the report date — so it loads both in the popup and under Node (tests).
+// ============================================================
+
+const REPORT_COLUMNS = [
+  ['code', 'Code'], ['location', 'Location'], ['session', 'Workshop'], ['registered', 'Registered'],
+  ['confirmed', 'Confirmed'], ['expected', 'Expected Att.'], ['target', 'Target'], ['closeAt', 'Close At'],
+  ['buffer', 'Buffer'], ['confidence', 'Confidence'], ['decision', 'Decision'],
+];
+
+// RFC 4180: quote a cell holding a quote, comma or line break, doubling its quotes. Text
+// starting with = + - or @ would run as a formula in a spreadsheet, so it gets a leading
+// apostrophe; plain signed numbers such as a "+2" buffer are left as they are.
+function csvCell(val) {
+  let str = String(val);
+  if (/^[=+\-@]/.test(str) && !/^[+-]\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function reportToCsv(rows) {
+  return [REPORT_COLUMNS.map(([, label]) => csvCell(label)).join(',')]
+    .concat(rows.map(row => REPORT_COLUMNS.map(([field]) => csvCell(row[field])).join(',')))
+    .join('\n') + '\n';
+}
+
+// A pipe would start a new column and a line break would end the row; blanks show as "—"
+function markdownCell(val) {
+  if (val === '' || val == null) return '—';
+  return String(val).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+function reportToMarkdown(rows) {
+  return [
+    `| ${REPORT_COLUMNS.map(([, label]) => label).join(' | ')} |`,
+    `|${REPORT_COLUMNS.map(() => ' --- ').join('|')}|`,
+  ].concat(rows.map(row => `| ${REPORT_COLUMNS.map(([field]) => markdownCell(row[field])).join(' | ')} |`)).join('\n') + '\n';
+}
+
+// Rows grouped under CLOSE and KEEP OPEN. `date` heads the summary; `filtered` notes that
+// the rows are a filtered view. Rows may carry a `sessionLabel` to show instead of the
+// raw session date.
+function reportToEmail(rows, { date, filtered } = {}) {
+  const line = row => {
+    const when = row.session ? ` (${row.sessionLabel || row.session})` : '';
+    const conf = row.confirmed > 0 ? ` (${row.confirmed} confirmed)` : '';
+    const buffer = Number(row.buffer);
+    const close = row.closeAt !== '' ? `close at ${row.closeAt} (${buffer >= 0 ? `${buffer} over` : `${-buffer} short`})` : 'no close point';
+    return `- ${row.code} ${row.location}${when}: ${row.registered} registered${conf}, expecting ${row.expected} vs target ${row.target} — ${close}. ${row.confidence} confidence.`;
+  };
+  const group = (decision, title) => {
+    const matching = rows.filter(row => row.decision === decision);
+    return matching.length ? [`${title} (${matching.length})`].concat(matching.map(line), '') : [];
+  };
+  const heading = date
+    ? `Workshop decisions — ${date.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`
+    : 'Workshop decisions';
+  return [
+    heading,
+    `${rows.length} workshop${rows.length !== 1 ? 's' : ''}${filtered ? ' (filtered view)' : ''}.`,
+    '',
+    ...group('CLOSE', 'CLOSE'),
+    ...group('KEEP OPEN', 'KEEP OPEN'),
+  ].join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { REPORT_COLUMNS, csvCell, reportToCsv, markdownCell, reportToMarkdown, reportToEmail };
+}
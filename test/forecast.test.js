@@ -0,0 +1,403 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeWorkshopStats, computeRecencyWeighted, getConfidenceLevel, computeForecast, describeWeighting,
+  backtestWorkshops, judgeDecision, normalCdf, detectOutliers, workshopTrends, trendDirection,
+  registrationCurve, projectRegistrations, computeBaselineRates, indexBaselinePool, pooledRatesAsOf,
+} = require('../forecast');
+
+function workshop(date, overrides) {
+  return Object.assign({
+    workshopDate: date,
+    totalFedsClose: 40, totalSpsClose: 0,
+    totalFedConfirmed: 0, totalSpsConfirmed: 0,
+    totalFedsAttended: 22, totalSpsAttended: 0,
+    totalWalkins: 2, totalYes: 0,
+  }, overrides);
+}
+
+const AS_OF = '2025-06-01';
+
+test('computeWorkshopStats derives show and confirmation rates', () => {
+  const s = computeWorkshopStats(workshop('2025-01-05', { totalFedConfirmed: 20 }));
+  assert.equal(s.totalRegClose, 40);
+  assert.equal(s.totalAttended, 22);
+  assert.equal(s.effectiveShowRate, 0.5);   // (22 - 2 walk-ins) / 40
+  assert.equal(s.confirmationRate, 0.5);
+  assert.equal(s.confirmedShowRate, 1);
+  assert.equal(s.unconfirmedShowRate, 0);
+});
+
+test('computeWorkshopStats skips workshops with no registrations', () => {
+  assert.equal(computeWorkshopStats(workshop('2025-01-05', { totalFedsClose: 0 })), null);
+});
+
+test('computeRecencyWeighted weights by 1/(days + 1) before asOf and ignores later workshops', () => {
+  const history = [
+    workshop('2025-05-31', { totalFedsAttended: 32 }),   // 1 day ago → weight ½, rate 0.75
+    workshop('2025-05-30', { totalFedsAttended: 12 }),   // 2 days ago → weight ⅓, rate 0.25
+    workshop('2025-06-10', { totalFedsAttended: 40 }),   // after asOf → ignored
+  ];
+  const r = computeRecencyWeighted(history, AS_OF);
+  assert.equal(r.wsCount, 2);
+  assert.ok(Math.abs(r.showRate - (0.75 / 2 + 0.25 / 3) / (1 / 2 + 1 / 3)) < 1e-9);
+  assert.equal(r.minShowRate, 0.25);
+  assert.equal(r.maxShowRate, 0.75);
+  assert.equal(r.avgWalkins, 2);
+});
+
+test('computeRecencyWeighted supports equal, last-N and exponential weighting', () => {
+  const history = [
+    workshop('2025-05-31', { totalFedsAttended: 32 }),   // rate 0.75
+    workshop('2025-05-01', { totalFedsAttended: 12 }),   // rate 0.25
+    workshop('2025-04-01', { totalFedsAttended: 12 }),   // rate 0.25
+  ];
+  const equal = computeRecencyWeighted(history, AS_OF, { strategy: 'equal' });
+  assert.ok(Math.abs(equal.showRate - 1.25 / 3) < 1e-9);
+
+  const lastOne = computeRecencyWeighted(history, AS_OF, { strategy: 'last-n', lastN: 1 });
+  assert.equal(lastOne.showRate, 0.75);
+  assert.equal(lastOne.wsCount, 1);
+  assert.equal(lastOne.historyCount, 3);
+  const lastOneForecast = computeForecast({ workshops: history, currentFeds: 10, target: 5, asOf: AS_OF, weighting: { strategy: 'last-n', lastN: 1 } });
+  assert.equal(lastOneForecast.confidence.label, getConfidenceLevel(3).label);
+
+  // Exponential: weight halves every halfLifeDays (yesterday = 1 day of decay)
+  const two = computeRecencyWeighted(history.slice(0, 2), AS_OF, { strategy: 'exponential', halfLifeDays: 30 });
+  const w1 = Math.pow(0.5, 1 / 30), w2 = Math.pow(0.5, 31 / 30);
+  assert.ok(Math.abs(two.showRate - (0.75 * w1 + 0.25 * w2) / (w1 + w2)) < 1e-9);
+});
+
+test('describeWeighting names the strategy and falls back to 1/days', () => {
+  assert.equal(describeWeighting({ strategy: 'exponential', halfLifeDays: 45 }), 'Exponential decay, half-life 45 days');
+  assert.equal(describeWeighting({ strategy: 'last-n', lastN: 3 }), 'Last 3 workshops, equal weight');
+  assert.match(describeWeighting({ strategy: 'bogus' }), /^1\/days/);
+});
+
+test('getConfidenceLevel buckets by workshop count', () => {
+  assert.equal(getConfidenceLevel(12).label, 'High');
+  assert.equal(getConfidenceLevel(6).label, 'Good');
+  assert.equal(getConfidenceLevel(3).label, 'Moderate');
+  assert.equal(getConfidenceLevel(1).label, 'Low');
+});
+
+test('computeForecast closes once registrations reach closeAt', () => {
+  const history = [workshop('2025-05-01')];   // 50% show rate, 2 walk-ins
+  const open = computeForecast({ workshops: history, currentFeds: '60', currentSps: '', target: '35', asOf: AS_OF });
+  assert.equal(open.closeAt, 66);              // ceil((35 - 2) / 0.5)
+  assert.equal(open.expectedAtt, 32);
+  assert.equal(open.shouldClose, false);
+  assert.equal(open.buffer, -6);
+
+  const close = computeForecast({ workshops: history, currentFeds: 60, currentSps: 6, target: 35, asOf: AS_OF });
+  assert.equal(close.shouldClose, true);
+  assert.equal(close.buffer, 0);
+});
+
+test('computeForecast gives an 80% interval and the chance of reaching target', () => {
+  // One workshop: spread comes from the prior show-rate SD (0.1) and Poisson walk-ins
+  const r = computeForecast({ workshops: [workshop('2025-05-01')], currentFeds: 66, target: 35, asOf: AS_OF });
+  assert.equal(r.expectedAtt, 35);
+  assert.ok(Math.abs(r.attendanceSD - Math.sqrt(66 * 66 * 0.01 + 2)) < 1e-9);
+  assert.equal(r.intervalLow, 26);
+  assert.equal(r.intervalHigh, 44);
+  assert.ok(r.probHitTarget > 0.5 && r.probHitTarget < 0.56);
+});
+
+test('computeForecast can set closeAt by probability of reaching target', () => {
+  const history = [
+    workshop('2025-03-01', { totalFedsAttended: 20 }),   // 45%
+    workshop('2025-04-01', { totalFedsAttended: 24 }),   // 55%
+  ];
+  const base = { workshops: history, currentFeds: 70, target: 35, asOf: AS_OF, weighting: { strategy: 'equal' } };
+  const expected = computeForecast(base);
+  const likely = computeForecast(Object.assign({}, base, { closeRule: { mode: 'probability', confidence: 0.75 } }));
+  assert.equal(expected.closeAt, 66);
+  assert.ok(likely.closeAt > expected.closeAt);
+  // closeAt is the first count that clears the bar
+  const at = n => computeForecast(Object.assign({}, base, { currentFeds: n })).probHitTarget;
+  assert.ok(at(likely.closeAt) >= 0.75);
+  assert.ok(at(likely.closeAt - 1) < 0.75);
+});
+
+test('computeForecast has no buffer when there is no close point', () => {
+  // No Yes outcomes on record, so no registration count reaches a Yes target
+  const history = [workshop('2025-05-01')];
+  const fixed = computeForecast({ workshops: history, currentFeds: 40, target: 10, targetType: 'yes', asOf: AS_OF });
+  const likely = computeForecast({ workshops: history, currentFeds: 40, target: 10, targetType: 'yes', asOf: AS_OF,
+    closeRule: { mode: 'probability', confidence: 0.75 } });
+  for (const r of [fixed, likely]) {
+    assert.equal(r.closeAt, 0);
+    assert.equal(r.shouldClose, false);
+    assert.equal(r.buffer, null);
+  }
+});
+
+test('normalCdf matches standard normal values', () => {
+  assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(normalCdf(1.2816) - 0.9) < 1e-4);
+  assert.ok(Math.abs(normalCdf(-1.96) - 0.025) < 1e-4);
+});
+
+test('computeForecast uses the confirmed/unconfirmed split when confirmed numbers are given', () => {
+  // 20 confirmed all showed; of 20 unconfirmed, 0 showed
+  const history = [workshop('2025-05-01', { totalFedConfirmed: 20 })];
+  const r = computeForecast({ workshops: history, currentFeds: 40, confirmedFeds: 30, target: 30, asOf: AS_OF });
+  assert.equal(r.totalConfirmed, 30);
+  assert.equal(r.expectedAtt, 32);             // 30 × 100% + 10 × 0% + 2
+  assert.equal(r.effectiveRate, 0.75);
+  assert.equal(r.closeAt, 38);                 // ceil((30 - 2) / 0.75)
+  assert.equal(r.shouldClose, true);
+});
+
+test('computeForecast clamps confirmed to registered and has no decision without inputs', () => {
+  const history = [workshop('2025-05-01', { totalFedConfirmed: 20 })];
+  const r = computeForecast({ workshops: history, currentFeds: 10, confirmedFeds: 50, target: '', asOf: AS_OF });
+  assert.equal(r.confFeds, 10);
+  assert.equal(r.hasData, false);
+  assert.equal(r.closeAt, 0);
+  assert.equal(r.shouldClose, false);
+});
+
+test('backtestWorkshops forecasts each workshop from the ones before it', () => {
+  const history = [
+    workshop('2025-01-10'),                                              // 50% show, no history → not replayed
+    workshop('2025-02-10', { totalFedsClose: 70, totalFedsAttended: 37 }), // predicted 37, actual 37
+    workshop('2025-03-10', { totalFedsClose: 60, totalFedsAttended: 20 }), // predicted ~32, actual 20
+  ];
+  const { points, summary } = backtestWorkshops(history, { target: 35, weighting: { strategy: 'equal' } });
+  assert.equal(points.length, 2);
+
+  assert.equal(points[0].workshopDate, '2025-02-10');
+  assert.equal(points[0].predicted, 37);      // 70 × 50% + 2 walk-ins
+  assert.equal(points[0].shouldClose, true);  // 70 ≥ closeAt 66
+  assert.equal(points[0].correct, true);      // 37 ≥ 35
+
+  assert.equal(points[1].historyCount, 2);
+  assert.equal(points[1].shouldClose, false);
+  assert.equal(points[1].reachedTarget, false);
+  assert.equal(points[1].correct, true);
+
+  assert.equal(summary.count, 2);
+  assert.equal(summary.hitRate, 1);
+  assert.ok(summary.bias > 0);                // over-predicted the March workshop
+  assert.ok(Math.abs(summary.mae - summary.bias) < 1e-9);
+});
+
+test('detectOutliers flags show-rate and walk-in anomalies', () => {
+  const history = [
+    workshop('2025-01-10', { totalFedsAttended: 22 }),
+    workshop('2025-02-10', { totalFedsAttended: 24 }),
+    workshop('2025-03-10', { totalFedsAttended: 21 }),
+    workshop('2025-04-10', { totalFedsAttended: 23 }),
+    workshop('2025-05-10', { totalFedsAttended: 6 }),                     // snowstorm
+    workshop('2025-05-20', { totalFedsAttended: 32, totalWalkins: 12 }),  // duplicated mailing
+  ];
+  const flags = detectOutliers(history);
+  assert.deepEqual(Object.keys(flags).sort(), ['2025-05-10', '2025-05-20']);
+  assert.equal(flags['2025-05-10'][0].metric, 'showRate');
+  assert.ok(flags['2025-05-20'].some(f => f.metric === 'walkins'));
+  assert.deepEqual(detectOutliers(history.slice(0, 3)), {});
+});
+
+test('excluded workshops are left out of forecasts and backtests', () => {
+  const history = [
+    workshop('2025-04-01'),
+    workshop('2025-05-01', { totalFedsAttended: 6, excluded: true }),
+  ];
+  const r = computeForecast({ workshops: history, currentFeds: 40, target: 35, asOf: AS_OF });
+  assert.equal(r.wsCount, 1);
+  assert.equal(r.showRate, 0.5);
+  assert.equal(backtestWorkshops(history, { target: 35 }).points.length, 0);
+});
+
+test('computeForecast forecasts Yes outcomes and can target them', () => {
+  const history = [
+    workshop('2025-01-05', { totalYes: 11 }),
+    workshop('2025-02-09', { totalYes: 11 }),
+    workshop('2025-03-16', { totalYes: 0 }),   // sheet without a Total Yes row
+  ];
+  assert.equal(computeWorkshopStats(history[0]).yesRate, 0.5);
+  assert.equal(computeRecencyWeighted(history, AS_OF).yesWsCount, 2);
+
+  const byHead = computeForecast({ workshops: history, currentFeds: 40, target: 20, asOf: AS_OF });
+  assert.equal(byHead.targetType, 'attendance');
+  assert.equal(byHead.yesRate, 0.5);
+  assert.equal(byHead.expectedYes, 11);       // 22 expected attendees × 50%
+
+  const byYes = computeForecast({ workshops: history, currentFeds: 40, target: 10, targetType: 'yes', asOf: AS_OF });
+  assert.equal(byYes.closeAt, 36);            // 10 Yes ÷ 50% = 20 attendees → (20 - 2) / 0.5
+  assert.equal(byYes.shouldClose, true);
+  assert.ok(byYes.probHitTarget > 0.5);
+
+  const noYesData = computeForecast({ workshops: [history[2]], currentFeds: 40, target: 10, targetType: 'yes', asOf: AS_OF });
+  assert.equal(noYesData.closeAt, 0);
+  assert.equal(noYesData.probHitTarget, 0);
+});
+
+test('backtestWorkshops judges Yes targets by the Yes count and skips workshops without one', () => {
+  const history = [
+    workshop('2025-01-05', { totalYes: 11 }),
+    workshop('2025-02-09', { totalYes: 0 }),
+    workshop('2025-03-16', { totalYes: 9 }),
+  ];
+  const { points } = backtestWorkshops(history, { target: 10, targetType: 'yes' });
+  assert.deepEqual(points.map(p => p.workshopDate), ['2025-03-16']);
+  assert.equal(points[0].reachedTarget, false);
+  assert.equal(points[0].actual, 22);         // error stays in headcount
+});
+
+test('judgeDecision scores a logged call against the workshop\'s results', () => {
+  const closed = { decision: 'close', expectedAtt: 25, target: 20, targetType: 'attendance' };
+  const out = judgeDecision(closed, workshop('2025-05-01'));
+  assert.equal(out.actual, 22);
+  assert.equal(out.error, 3);
+  assert.equal(out.correct, true);
+  assert.equal(judgeDecision(Object.assign({}, closed, { target: 30 }), workshop('2025-05-01')).correct, false);
+  assert.equal(judgeDecision({ decision: 'open', target: 30, expectedAtt: 20 }, workshop('2025-05-01')).correct, true);
+
+  // Nothing to judge yet: no results, or no Yes count for a Yes target
+  assert.equal(judgeDecision(closed, undefined), null);
+  assert.equal(judgeDecision(Object.assign({}, closed, { targetType: 'yes' }), workshop('2025-05-01')), null);
+});
+
+test('computeForecast models fed and spouse show rates separately', () => {
+  // Feds show at 50%, spouses at 25%; no walk-ins
+  const history = [workshop('2025-05-01', { totalSpsClose: 20, totalFedsAttended: 20, totalSpsAttended: 5, totalWalkins: 0 })];
+  const stats = computeWorkshopStats(history[0]);
+  assert.equal(stats.groups.fed.showRate, 0.5);
+  assert.equal(stats.groups.sps.showRate, 0.25);
+
+  const r = computeForecast({ workshops: history, currentFeds: 40, currentSps: 4, target: 30, asOf: AS_OF });
+  assert.equal(r.groups.fed.expected, 20);
+  assert.equal(r.groups.sps.expected, 1);
+  assert.equal(r.expectedAtt, 21);             // a blended 25/60 rate would give 18.3
+  assert.equal(r.groups.sps.ownHistory, true);
+});
+
+test('walk-ins are shared between groups by attendance, and groups without history use blended rates', () => {
+  const ws = workshop('2025-05-01', { totalSpsClose: 10, totalFedsAttended: 24, totalSpsAttended: 6, totalWalkins: 5 });
+  const stats = computeWorkshopStats(ws);
+  assert.equal(stats.groups.fed.showRate, (24 - 4) / 40);   // 4 of the 5 walk-ins were feds
+  assert.equal(stats.groups.sps.showRate, (6 - 1) / 10);
+
+  const fedsOnly = [workshop('2025-05-01')];
+  const r = computeForecast({ workshops: fedsOnly, currentFeds: 40, currentSps: 10, target: 30, asOf: AS_OF });
+  assert.equal(r.groups.sps.ownHistory, false);
+  assert.equal(r.groups.sps.rate, 0.5);
+});
+
+test('computeForecast shrinks a low-data advisor toward the pooled baseline', () => {
+  const own = [workshop('2025-05-01')];                          // 50% show
+  const pool = ['2025-02-01', '2025-03-01', '2025-04-01']
+    .map(d => workshop(d, { totalFedsAttended: 14 }));            // 30% show
+  const input = { workshops: own, currentFeds: 40, target: 30, asOf: AS_OF };
+
+  const alone = computeForecast(input);
+  assert.equal(alone.ownShare, 1);
+  assert.equal(alone.baselineLabel, '');
+
+  const shrunk = computeForecast(Object.assign({}, input, { baseline: { workshops: pool, label: 'MD', strength: 3 } }));
+  assert.ok(Math.abs(shrunk.showRate - 0.35) < 1e-9);             // (0.5 × 1 + 0.3 × 3) / 4
+  assert.equal(shrunk.ownShare, 0.25);
+  assert.equal(shrunk.baselineLabel, 'MD');
+  assert.equal(shrunk.baselineWsCount, 3);
+  assert.ok(Math.abs(shrunk.expectedAtt - (40 * 0.35 + 2)) < 1e-9);
+
+  // Plenty of own history barely moves
+  const seasoned = Array.from({ length: 27 }, (_, i) => workshop(`2024-${String((i % 12) + 1).padStart(2, '0')}-${String(i + 1).padStart(2, '0')}`));
+  const r = computeForecast(Object.assign({}, input, { workshops: seasoned, baseline: { workshops: pool, strength: 3 } }));
+  assert.equal(r.ownShare, 0.9);
+  assert.ok(Math.abs(r.showRate - 0.48) < 1e-9);
+});
+
+test('pooledRatesAsOf matches a fresh pass over the pool without the advisor', () => {
+  const own = [workshop('2025-03-15', { totalFedsAttended: 30, totalWalkins: 4 }), workshop('2025-05-01')];
+  const others = [
+    workshop('2025-02-01', { totalFedsAttended: 14, totalFedConfirmed: 20, totalYes: 3 }),
+    workshop('2025-03-01', { totalSpsClose: 10, totalSpsAttended: 4 }),
+    workshop('2025-04-01', { totalFedsAttended: 26, excluded: true }),
+    workshop('2025-04-20', { totalFedsAttended: 22, totalYes: 5 }),
+  ];
+  const pool = indexBaselinePool(own.concat(others));
+  const ownPool = indexBaselinePool(own);
+  ['2025-01-01', '2025-03-15', '2025-04-21', AS_OF].forEach(asOf => {
+    const fast = pooledRatesAsOf(pool, asOf, ownPool);
+    const slow = computeBaselineRates(others, asOf);
+    ['showRate', 'confirmedShowRate', 'avgWalkins', 'yesRate', 'wsCount', 'yesWsCount'].forEach(f => {
+      assert.ok(Math.abs(fast[f] - slow[f]) < 1e-9, `${f} as of ${asOf}`);
+    });
+    assert.ok(Math.abs(fast.groups.sps.showRate - slow.groups.sps.showRate) < 1e-9);
+    assert.equal(fast.showRateSD === null, slow.showRateSD === null);
+    if (slow.showRateSD !== null) assert.ok(Math.abs(fast.showRateSD - slow.showRateSD) < 1e-9);
+  });
+
+  const input = { workshops: own, currentFeds: 40, target: 30, asOf: AS_OF };
+  const viaIndex = computeForecast(Object.assign({}, input, { baseline: { pool, own: ownPool, strength: 3 } }));
+  const viaList = computeForecast(Object.assign({}, input, { baseline: { workshops: others, strength: 3 } }));
+  assert.ok(Math.abs(viaIndex.expectedAtt - viaList.expectedAtt) < 1e-9);
+});
+
+test('workshopTrends tracks metrics oldest first with a rolling mean and direction', () => {
+  const history = [
+    workshop('2025-04-01', { totalFedsAttended: 18 }),   // 40%
+    workshop('2025-01-01', { totalFedsAttended: 26 }),   // 60%
+    workshop('2025-03-01', { totalFedsAttended: 20, excluded: true }),
+    workshop('2025-02-01', { totalFedsAttended: 22 }),   // 50%
+  ];
+  const t = workshopTrends(history);
+  assert.deepEqual(t.dates, ['2025-01-01', '2025-02-01', '2025-04-01']);
+  assert.deepEqual(t.metrics.showRate.values, [0.6, 0.5, 0.4]);
+  assert.ok(Math.abs(t.metrics.showRate.rolling[2] - 0.5) < 1e-9);
+  assert.equal(t.metrics.showRate.trend.direction, 'down');
+  assert.equal(t.metrics.walkins.trend.direction, 'flat');
+  assert.equal(workshopTrends(history.slice(0, 2)).metrics.showRate.trend.direction, 'none');
+});
+
+test('trendDirection uses absolute thresholds for rates and relative ones for counts', () => {
+  const rate = { isRate: true, threshold: 0.03 };
+  const count = { isRate: false, threshold: 0.1 };
+  assert.equal(trendDirection([0.50, 0.51, 0.52], rate).direction, 'flat');
+  assert.equal(trendDirection([0.50, 0.52, 0.54], rate).direction, 'up');
+  assert.equal(trendDirection([30, 31, 33], count).direction, 'flat');    // +3 on a mean of ~31
+  assert.equal(trendDirection([30, 33, 36], count).direction, 'up');
+  assert.equal(trendDirection([1, 0, 0, 0, 0, 0, 0, 9, 9], count).direction, 'up');   // only the last 6 count
+});
+
+test('projectRegistrations follows past workshops\' growth curves', () => {
+  // Both past workshops had 25% of their final registrations 20 days out and 50% 10 days out
+  const history = ['2025-03-01', '2025-05-01'].map(date => workshop(date, {
+    regSnapshots: [
+      { date: new Date(Date.parse(date) - 20 * 86400000).toISOString().slice(0, 10), feds: 10, sps: 0 },
+      { date: new Date(Date.parse(date) - 10 * 86400000).toISOString().slice(0, 10), feds: 20, sps: 0 },
+    ],
+  }));
+  const model = registrationCurve(history);
+  assert.equal(model.workshops, 2);
+  assert.equal(model.curve[10], 0.5);
+  assert.equal(model.curve[15], 0.375);
+
+  const p = projectRegistrations({
+    snapshots: [{ date: '2025-06-21', feds: 12, sps: 3 }],
+    sessionDate: '2025-07-01', history, closeAt: 24, asOf: '2025-06-21',
+  });
+  assert.equal(p.method, 'curve');
+  assert.equal(p.daysLeft, 10);
+  assert.equal(p.projectedAtClose, 30);      // 15 is half of the usual final count
+  assert.equal(p.crossDate, '2025-06-27');   // 15 × share(d) / 0.5 ≥ 24 once d ≤ 4
+});
+
+test('projectRegistrations falls back to the recent straight-line pace', () => {
+  const snapshots = [{ date: '2025-06-11', feds: 10 }, { date: '2025-06-21', feds: 20 }];
+  const p = projectRegistrations({ snapshots, sessionDate: '2025-07-01', history: [], closeAt: 25, asOf: '2025-06-21' });
+  assert.equal(p.method, 'linear');
+  assert.equal(p.pacePerDay, 1);
+  assert.equal(p.projectedAtClose, 30);
+  assert.equal(p.crossDate, '2025-06-26');
+
+  const past = projectRegistrations({ snapshots: snapshots.concat([{ date: '2025-06-22', feds: 26 }]), sessionDate: '2025-07-01', closeAt: 25, asOf: '2025-06-22' });
+  assert.equal(past.crossed, true);
+  assert.equal(past.crossDate, '2025-06-22');
+
+  assert.equal(projectRegistrations({ snapshots: [], sessionDate: '2025-07-01', closeAt: 25 }).method, 'none');
+});
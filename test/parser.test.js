@@ -0,0 +1,263 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDate, parseNum, matchLabel, resolveLabel, setLabelAliases, labelAliasConflicts,
+  detectDelimiter, normalizeImportText,
+  splitMultiAdvisorBlocks, parsePastedAdvisorBlock, validateWorkshopInput,
+  stateFromLocation, normalizeLocation, locationSimilarity, matchAdvisor, parseRegistrationRows,
+} = require('../parser');
+
+const BLOCK = [
+  'AVL\tGreenbelt, MD',
+  '\tDate\t1/5/2025\t2/9/2025\t3/16/2025\tAvg',
+  '\tTotal Feds @ Close\t20\t25\t\t22.5',
+  '\tTotal SPs @ Close\t4\t6\t\t5',
+  '\tConfirmed Feds\t12\t15\t\t',
+  '\tFeds Attended\t15\t18\t\t',
+  '\tSPs Attended\t3\t4\t\t',
+  '\tTrue Walk-ins\t2\t3\t\t',
+  '\tTotal Yes\t6\t9\t\t',
+].join('\n');
+
+test('parseDate handles sheet date formats', () => {
+  assert.equal(parseDate('1/5/2025'), '2025-01-05');
+  assert.equal(parseDate('12-31-2024'), '2024-12-31');
+  assert.equal(parseDate('2025-3-7'), '2025-03-07');
+  assert.equal(parseDate('March 7, 2025'), '2025-03-07');
+});
+
+test('parseDate rejects numbers, percentages and blanks', () => {
+  assert.equal(parseDate('22.5'), '');
+  assert.equal(parseDate('85%'), '');
+  assert.equal(parseDate(''), '');
+  assert.equal(parseDate('Avg'), '');
+});
+
+test('parseNum strips formatting and defaults to 0', () => {
+  assert.equal(parseNum('85%'), 85);
+  assert.equal(parseNum(' 1,204 '), 1204);
+  assert.equal(parseNum(''), 0);
+  assert.equal(parseNum('n/a'), 0);
+});
+
+test('matchLabel maps row labels to fields', () => {
+  assert.equal(matchLabel('Date'), 'workshopDate');
+  assert.equal(matchLabel('Total Feds @ Close'), 'totalFedsClose');
+  assert.equal(matchLabel('Spouses Confirmed'), 'totalSpsConfirmed');
+  assert.equal(matchLabel('True Walk-ins'), 'totalWalkins');
+  assert.equal(matchLabel('Greenbelt, MD'), null);
+});
+
+test('label aliases are checked before the built-in patterns', () => {
+  setLabelAliases({ totalFedsClose: ['Reg @ Close'], totalSpsAttended: ['Spouses Showed', 'reg @ close'], bogus: ['x'] });
+  try {
+    assert.deepEqual(resolveLabel('  REG  @ close '), { field: 'totalFedsClose', source: 'alias', rule: 'Reg @ Close' });
+    assert.equal(matchLabel('Spouses Showed'), 'totalSpsAttended');
+    assert.equal(resolveLabel('Total Feds @ Close').source, 'built-in');
+    assert.equal(matchLabel('x'), null);
+    const block = BLOCK.replace('Total Feds @ Close', 'Reg @ Close').replace('SPs Attended', 'Spouses Showed');
+    const ws = parsePastedAdvisorBlock(block).workshops[0];
+    assert.equal(ws.totalFedsClose, 20);
+    assert.equal(ws.totalSpsAttended, 3);
+  } finally {
+    setLabelAliases({});
+  }
+  assert.equal(matchLabel('Reg @ Close'), null);
+  assert.deepEqual(labelAliasConflicts({ totalFedsClose: ['Reg @ Close'], totalSpsClose: ['reg @ close'] }),
+    [{ alias: 'Reg @ Close', fields: ['totalFedsClose', 'totalSpsClose'] }]);
+});
+
+test('parsePastedAdvisorBlock reads code, location and completed workshops', () => {
+  const result = parsePastedAdvisorBlock(BLOCK);
+  assert.equal(result.code, 'AVL');
+  assert.equal(result.location, 'Greenbelt, MD');
+  assert.equal(result.workshops.length, 2);
+  assert.deepEqual(result.workshops[0], {
+    workshopDate: '2025-01-05',
+    totalFedsClose: 20, totalSpsClose: 4,
+    totalFedConfirmed: 12, totalSpsConfirmed: 0,
+    totalFedsAttended: 15, totalSpsAttended: 3,
+    totalWalkins: 2, totalYes: 6,
+  });
+  assert.deepEqual(result.incomplete, ['2025-03-16']);
+});
+
+test('parsePastedAdvisorBlock keeps workshops without results as scheduled', () => {
+  const withRegs = BLOCK.replace('\tTotal Feds @ Close\t20\t25\t\t22.5', '\tTotal Feds @ Close\t20\t25\t18\t22.5');
+  const result = parsePastedAdvisorBlock(withRegs);
+  assert.equal(result.scheduled.length, 1);
+  assert.equal(result.scheduled[0].workshopDate, '2025-03-16');
+  assert.equal(result.scheduled[0].totalFedsClose, 18);
+  assert.equal(result.scheduled[0].totalFedsAttended, 0);
+});
+
+test('parsePastedAdvisorBlock reports rows whose label it does not recognize', () => {
+  const block = BLOCK.replace('SPs Attended', 'Spouses Showed') + [
+    '', '\tNotes\t\t\t\t', '\t% Show\t68%\t72%\t\t70%', '\tShow Up\t68%\t72%\t\t', '\tAvg Attendance\t18\t22\t\t20',
+  ].join('\n');
+  const result = parsePastedAdvisorBlock(block);
+  assert.deepEqual(result.unknownLabels, ['Spouses Showed']);
+  assert.equal(result.workshops[0].totalSpsAttended, 0);
+  assert.deepEqual(parsePastedAdvisorBlock(BLOCK).unknownLabels, []);
+});
+
+test('parsePastedAdvisorBlock explains what is missing', () => {
+  assert.throws(() => parsePastedAdvisorBlock(''), /No data found/);
+  assert.throws(() => parsePastedAdvisorBlock('AVL\tGreenbelt, MD\nfoo\tbar'), /Could not find row labels/);
+});
+
+test('parsePastedAdvisorBlock returns a block of upcoming sessions only', () => {
+  const result = parsePastedAdvisorBlock('AVL\tGreenbelt, MD\n\tDate\t1/5/2030\t2/9/2030\n\tTotal Feds @ Close\t12\t0\n\tFeds Attended\t0\t0');
+  assert.deepEqual(result.workshops, []);
+  assert.deepEqual(result.scheduled.map(ws => [ws.workshopDate, ws.totalFedsClose]), [['2030-01-05', 12], ['2030-02-09', 0]]);
+});
+
+test('splitMultiAdvisorBlocks splits on advisor codes in column A', () => {
+  const second = BLOCK.replace('AVL\tGreenbelt, MD', 'ICE-ERO\tRichmond, VA');
+  const blocks = splitMultiAdvisorBlocks(BLOCK + '\n' + second);
+  assert.equal(blocks.length, 2);
+  assert.equal(parsePastedAdvisorBlock(blocks[1]).code, 'ICE-ERO');
+});
+
+test('detectDelimiter prefers tabs, then the delimiter on most lines', () => {
+  assert.equal(detectDelimiter('a\tb\nc\td'), '\t');
+  assert.equal(detectDelimiter('a,"b, c"\nd,e'), ',');
+  assert.equal(detectDelimiter('a;b;c\nd;1,5;e\nf;g;h'), ';');
+});
+
+test('normalizeImportText turns quoted CSV into parseable tab-separated text', () => {
+  const csv = BLOCK.split('\n')
+    .map(line => line.split('\t').map(c => (/[,\n]/.test(c) ? `"${c}"` : c)).join(','))
+    .join('\r\n')
+    .replace('Total Feds @ Close', '"Total Feds\n@ Close"');
+  const result = parsePastedAdvisorBlock(normalizeImportText(csv));
+  assert.equal(result.location, 'Greenbelt, MD');
+  assert.equal(result.workshops[1].totalFedsClose, 25);
+});
+
+test('validateWorkshopInput accepts a completed workshop and keeps unedited fields', () => {
+  const base = { workshopDate: '2025-01-05', totalYes: 6, excluded: true, note: 'Snow' };
+  const { workshop, errors } = validateWorkshopInput({
+    workshopDate: '1/12/2025', totalFedsClose: '20', totalSpsClose: '4', totalFedConfirmed: '12',
+    totalSpsConfirmed: '', totalFedsAttended: '15', totalSpsAttended: '3', totalWalkins: '2', totalYes: '7',
+  }, { asOf: '2025-06-01', base, otherDates: ['2025-02-09'] });
+  assert.deepEqual(errors, []);
+  assert.equal(workshop.workshopDate, '2025-01-12');
+  assert.equal(workshop.totalSpsConfirmed, 0);
+  assert.equal(workshop.totalYes, 7);
+  assert.equal(workshop.excluded, true);
+  assert.equal(workshop.note, 'Snow');
+});
+
+test('validateWorkshopInput rejects bad dates, numbers and impossible counts', () => {
+  const valid = {
+    workshopDate: '2025-02-09', totalFedsClose: '20', totalSpsClose: '4', totalFedConfirmed: '12',
+    totalSpsConfirmed: '0', totalFedsAttended: '15', totalSpsAttended: '3', totalWalkins: '2',
+  };
+  const errorsFor = (changes, opts) =>
+    validateWorkshopInput(Object.assign({}, valid, changes), Object.assign({ asOf: '2025-06-01' }, opts)).errors;
+
+  assert.match(errorsFor({ workshopDate: 'soon' })[0], /valid date/);
+  assert.match(errorsFor({ workshopDate: '2025-07-01' })[0], /future/);
+  assert.match(errorsFor({}, { otherDates: ['2025-02-09'] })[0], /already a workshop/);
+  assert.match(errorsFor({ totalWalkins: '-1' })[0], /Walk-ins must be a whole number/);
+  assert.match(errorsFor({ totalFedsClose: '2.5' })[0], /Feds @ close must be a whole number/);
+  assert.match(errorsFor({ totalFedsAttended: '0' })[0], /completed workshop/);
+  assert.match(errorsFor({ totalFedConfirmed: '21' })[0], /cannot exceed feds @ close/);
+  assert.match(errorsFor({ totalWalkins: '19' })[0], /Walk-ins cannot exceed total attended/);
+  assert.match(errorsFor({ totalYes: '19' })[0], /Total Yes cannot exceed total attended/);
+  assert.equal(validateWorkshopInput(Object.assign({}, valid, { totalWalkins: 'x' })).workshop, null);
+});
+
+test('stateFromLocation reads a trailing two-letter state', () => {
+  assert.equal(stateFromLocation('Greenbelt, MD'), 'MD');
+  assert.equal(stateFromLocation('Richmond,va.'), 'VA');
+  assert.equal(stateFromLocation('Online'), '');
+  assert.equal(stateFromLocation('Washington, DC Metro'), '');
+});
+
+test('normalizeLocation tidies spacing, commas, state names and case', () => {
+  assert.equal(normalizeLocation('Greenbelt MD'), 'Greenbelt, MD');
+  assert.equal(normalizeLocation('  Greenbelt ,  md '), 'Greenbelt, MD');
+  assert.equal(normalizeLocation('greenbelt, maryland'), 'Greenbelt, MD');
+  assert.equal(normalizeLocation('VIRGINIA BEACH VA.'), 'Virginia Beach, VA');
+  assert.equal(normalizeLocation('Washington'), 'Washington');
+  assert.equal(normalizeLocation('Washington, DC Metro'), 'Washington, DC Metro');
+  assert.equal(normalizeLocation('Fort Washington, MD'), 'Fort Washington, MD');
+  assert.equal(normalizeLocation('st. louis mo'), 'St. Louis, MO');
+  const block = BLOCK.replace('Greenbelt, MD', 'greenbelt maryland');
+  assert.equal(parsePastedAdvisorBlock(block).location, 'Greenbelt, MD');
+});
+
+test('normalizeLocation leaves a state name or code alone unless it follows a comma or a city', () => {
+  assert.equal(normalizeLocation('Fort Washington'), 'Fort Washington');
+  assert.equal(normalizeLocation('Port  Washington'), 'Port Washington');
+  assert.equal(normalizeLocation('Zoom Webinar OK'), 'Zoom Webinar OK');
+  assert.equal(normalizeLocation('Online Virginia'), 'Online Virginia');
+  assert.equal(normalizeLocation('Building 5 MD'), 'Building 5 MD');
+  assert.equal(normalizeLocation('Zoom Webinar, OK'), 'Zoom Webinar, OK');
+  assert.equal(normalizeLocation('Fort, washington'), 'Fort, WA');
+});
+
+test('matchAdvisor tolerates location differences within an advisor code', () => {
+  const known = [
+    { key: 'AVL|Greenbelt, MD', code: 'AVL', location: 'Greenbelt, MD' },
+    { key: 'AVL|Richmond, VA', code: 'AVL', location: 'Richmond, VA' },
+    { key: 'CFG|Norfolk, VA', code: 'CFG', location: 'Norfolk, VA' },
+  ];
+  assert.equal(matchAdvisor('AVL', 'Greenbelt, MD', known).how, 'exact');
+  assert.deepEqual(matchAdvisor('avl', 'greenbelt md', known), {
+    key: 'AVL|Greenbelt, MD', how: 'format', candidates: ['AVL|Greenbelt, MD', 'AVL|Richmond, VA'],
+  });
+  assert.equal(matchAdvisor('AVL', 'Richmnd VA', known).key, 'AVL|Richmond, VA');
+  assert.equal(matchAdvisor('AVL', 'Richmnd VA', known).how, 'similar');
+  assert.equal(matchAdvisor('CFG', 'Virginia Beach', known).how, 'only');
+
+  // Another state is never the same place, however close the spelling
+  const richmond = [{ key: 'AVL|Richmond, KY', code: 'AVL', location: 'Richmond, KY' }];
+  assert.ok(locationSimilarity('Richmond, VA', 'Richmond, KY') >= 0.6);
+  assert.deepEqual(matchAdvisor('AVL', 'Richmond, VA', richmond), { key: null, how: null, candidates: ['AVL|Richmond, KY'] });
+  assert.equal(matchAdvisor('AVL', 'Richmond va', known.concat(richmond)).key, 'AVL|Richmond, VA');
+  assert.equal(matchAdvisor('AVL', 'Richmnd KY', known.concat(richmond)).key, 'AVL|Richmond, KY');
+  assert.equal(matchAdvisor('CFG', 'Norfolk, NE', known).key, null);
+  assert.equal(matchAdvisor('AVL', 'Greenbelt, Maryland', known).how, 'format');
+  assert.equal(matchAdvisor('AVL', 'Baltimore', known).key, null);
+  assert.equal(matchAdvisor('XYZ', 'Greenbelt, MD', known).key, null);
+  assert.ok(locationSimilarity('Greenbelt', 'Greenbelt, MD') > locationSimilarity('Greenbelt', 'Richmond, VA'));
+});
+
+test('parseRegistrationRows reads a pasted table and skips its header', () => {
+  const { rows, errors } = parseRegistrationRows([
+    'Code\tLocation\tFeds\tSPs\tConf Feds\tConf SPs\tTarget',
+    'avl\tGreenbelt, MD\t28\t4\t12\t\t35',
+    '',
+    'CFG\tNorfolk, VA\tx\t1',
+    '\tRichmond, VA\t3',
+  ].join('\n'));
+  assert.deepEqual(rows, [{
+    line: 2, code: 'AVL', location: 'Greenbelt, MD',
+    values: { currentFeds: '28', currentSps: '4', confirmedFeds: '12', confirmedSps: '', target: '35' },
+  }]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /Line 4 \(CFG\)/);
+
+  // Comma-separated with the location left unquoted
+  const csv = parseRegistrationRows('AVL,Greenbelt, MD,28,4,12,2,35');
+  assert.equal(csv.rows[0].location, 'Greenbelt, MD');
+  assert.equal(csv.rows[0].values.target, '35');
+});
+
+test('parseRegistrationRows reports a typo on the first line and folds short unquoted rows', () => {
+  const typo = parseRegistrationRows('AVL\tGreenbelt, MD\t2o\t4\nCFG\tNorfolk, VA\t10');
+  assert.deepEqual(typo.rows.map(r => r.code), ['CFG']);
+  assert.equal(typo.errors.length, 1);
+  assert.match(typo.errors[0], /Line 1 \(AVL\): "2o"/);
+
+  // Trailing columns left off, so the split location is not given away by the count
+  const csv = parseRegistrationRows('AVL,Greenbelt, MD,28,4\nCFG,Norfolk, Virginia,10');
+  assert.deepEqual(csv.errors, []);
+  assert.deepEqual(csv.rows.map(r => [r.location, r.values.currentFeds, r.values.currentSps]), [
+    ['Greenbelt, MD', '28', '4'],
+    ['Norfolk, Virginia', '10', ''],
+  ]);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  defaultForecast, defaultForecastInputs, mergeWorkshops, mergeConflicts, combineWorkshops, mergeForecastInputs,
+  retargetImportItem, SCHEMA_VERSION, migrateStoredData,
+} = require('../records');
+
+function workshop(date, overrides) {
+  return Object.assign({
+    workshopDate: date,
+    totalFedsClose: 40, totalSpsClose: 0, totalFedConfirmed: 0, totalSpsConfirmed: 0,
+    totalFedsAttended: 20, totalSpsAttended: 0, totalWalkins: 2, totalYes: 0,
+  }, overrides);
+}
+
+test('mergeWorkshops lets the incoming numbers win and keeps hand-set flags', () => {
+  const merged = mergeWorkshops(
+    [workshop('2025-01-05', { excluded: true, note: 'Snowstorm' }), workshop('2025-02-09')],
+    [workshop('2025-01-05', { totalFedsAttended: 25 }), workshop('2025-03-16')]);
+  const jan = merged.find(ws => ws.workshopDate === '2025-01-05');
+  assert.equal(merged.length, 3);
+  assert.equal(jan.totalFedsAttended, 25);
+  assert.equal(jan.excluded, true);
+  assert.equal(jan.note, 'Snowstorm');
+});
+
+test('mergeConflicts lists only same-date workshops whose numbers differ', () => {
+  const into = [workshop('2025-01-05'), workshop('2025-02-09'), workshop('2025-03-16')];
+  const from = [workshop('2025-01-05', { note: 'same numbers' }), workshop('2025-02-09', { totalWalkins: 5 }), workshop('2025-04-20')];
+  const conflicts = mergeConflicts(into, from);
+  assert.deepEqual(conflicts.map(c => c.date), ['2025-02-09']);
+  assert.equal(conflicts[0].into.totalWalkins, 2);
+  assert.equal(conflicts[0].from.totalWalkins, 5);
+});
+
+test('combineWorkshops keeps the merged-into version unless the chooser picked the other', () => {
+  const into = [workshop('2025-02-09', { excluded: true }), workshop('2025-01-05', { totalWalkins: 1 })];
+  const from = [workshop('2025-01-05', { totalWalkins: 7 }), workshop('2025-02-09', { totalWalkins: 9 }), workshop('2025-04-20')];
+
+  const kept = combineWorkshops(into, from, {});
+  assert.deepEqual(kept.map(ws => ws.workshopDate), ['2025-01-05', '2025-02-09', '2025-04-20']);
+  assert.deepEqual(kept.map(ws => ws.totalWalkins), [1, 2, 2]);
+
+  const taken = combineWorkshops(into, from, { '2025-02-09': 'from' });
+  const feb = taken.find(ws => ws.workshopDate === '2025-02-09');
+  assert.equal(feb.totalWalkins, 9);
+  assert.equal(feb.excluded, true);
+});
+
+test('mergeForecastInputs keeps the record with registrations and both sets of sessions', () => {
+  const into = Object.assign(defaultForecast(), { target: '30', sessions: { '2025-07-12': { currentFeds: '10' } } });
+  const from = Object.assign(defaultForecast(), {
+    currentFeds: '28', target: '40',
+    sessions: { '2025-07-12': { currentFeds: '99' }, '2025-08-02': { currentFeds: '4' } },
+  });
+
+  const merged = mergeForecastInputs(into, from);
+  assert.equal(merged.currentFeds, '28');
+  assert.equal(merged.target, '40');
+  assert.deepEqual(merged.sessions, { '2025-07-12': { currentFeds: '10' }, '2025-08-02': { currentFeds: '4' } });
+
+  // The merged-into record's own registrations win over the other's
+  assert.equal(mergeForecastInputs(Object.assign(defaultForecast(), { currentSps: '3' }), from).currentSps, '3');
+  assert.deepEqual(mergeForecastInputs(undefined, undefined), defaultForecast());
+  assert.equal(mergeForecastInputs(undefined, from), from);
+});
+
+test('retargetImportItem points a block at a known record or back to what was pasted', () => {
+  const known = { 'AVL|Greenbelt, MD': { code: 'AVL', location: 'Greenbelt, MD', workshops: [] } };
+  const item = { key: 'AVL|Greenbelt, MDD', code: 'AVL', location: 'Greenbelt, MDD', pastedLocation: 'Greenbelt, MDD' };
+
+  assert.equal(retargetImportItem(item, 'AVL|Greenbelt, MD', known), item);
+  assert.deepEqual([item.key, item.code, item.location], ['AVL|Greenbelt, MD', 'AVL', 'Greenbelt, MD']);
+  assert.equal(item.pastedLocation, 'Greenbelt, MDD');
+
+  retargetImportItem(item, 'AVL|Greenbelt, MDD', known);
+  assert.deepEqual([item.key, item.code, item.location], ['AVL|Greenbelt, MDD', 'AVL', 'Greenbelt, MDD']);
+});
+
+test('migrateStoredData upgrades unversioned data and parks records it cannot read', () => {
+  const { data, fromVersion, toVersion, problems, notes } = migrateStoredData({
+    advisors: {
+      'avl|greenbelt maryland': {
+        code: 'avl', location: 'greenbelt maryland', lastUpdated: 1700000000000,
+        workshops: [{ workshopDate: '2/9/2025', totalFedsClose: '25' }, { workshopDate: 'soon' }],
+      },
+      'X|': { location: 'Nowhere' },
+    },
+    forecasts: { 'avl|greenbelt maryland': { currentFeds: 12, sessions: { '7/12/2025': { target: 40 } } } },
+  }, 0);
+
+  assert.equal(fromVersion, 0);
+  assert.equal(toVersion, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(data.advisors), ['AVL|Greenbelt, MD']);
+  const adv = data.advisors['AVL|Greenbelt, MD'];
+  assert.equal(adv.workshops.length, 1);
+  assert.equal(adv.workshops[0].workshopDate, '2025-02-09');
+  assert.equal(adv.workshops[0].totalFedsClose, 25);
+  assert.equal(adv.lastImported, 1700000000000);
+  const fc = data.forecasts['AVL|Greenbelt, MD'];
+  assert.equal(fc.currentFeds, '12');
+  assert.equal(fc.sessions['2025-07-12'].target, '40');
+  assert.equal(fc.targetType, 'attendance');
+  assert.equal(data.currentForecastSort, 'az');
+  assert.deepEqual(problems.map(p => p.reason), ['Workshop has no valid date', 'Advisor record has no code']);
+  assert.deepEqual(notes, []);
+});
+
+test('migrateStoredData fills inputs added after version 1 without touching sorts added since', () => {
+  const { data } = migrateStoredData({
+    advisors: { 'AVL|Greenbelt, MD': { code: 'AVL', location: 'Greenbelt, MD', workshops: [] } },
+    forecasts: { 'AVL|Greenbelt, MD': { currentFeds: '12', target: '20', sessions: {} } },
+    currentForecastSort: 'buffer',
+  }, 4);
+
+  assert.deepEqual(data.forecasts['AVL|Greenbelt, MD'], Object.assign(defaultForecastInputs(), { currentFeds: '12', target: '20', sessions: {} }));
+  assert.equal(data.currentForecastSort, 'buffer');
+  assert.equal(migrateStoredData({ advisors: {}, forecasts: {}, currentForecastSort: 'zz' }, 4).data.currentForecastSort, 'az');
+});
+
+test('migrateStoredData keeps records apart when tidying their locations would collapse them', () => {
+  const ws = (date, walkins) => ({ workshopDate: date, totalFedsClose: 40, totalFedsAttended: 20, totalWalkins: walkins });
+  const { data, notes } = migrateStoredData({
+    advisors: {
+      'AVL|Greenbelt MD': { code: 'AVL', location: 'Greenbelt MD', workshops: [ws('2025-01-05', 2)] },
+      'AVL|Greenbelt, MD': { code: 'AVL', location: 'Greenbelt, MD', workshops: [ws('2025-01-05', 5)] },
+      'CFG|norfolk va': { code: 'CFG', location: 'norfolk va', workshops: [ws('2025-01-05', 1)] },
+      'CFG|Fort Washington': { code: 'CFG', location: 'Fort Washington', workshops: [] },
+    },
+    forecasts: { 'AVL|Greenbelt MD': { currentFeds: '9' }, 'CFG|norfolk va': { currentFeds: '3' } },
+    decisionLog: [
+      { id: 'a', key: 'AVL|Greenbelt MD', code: 'AVL', location: 'Greenbelt MD' },
+      { id: 'b', key: 'CFG|norfolk va', code: 'CFG', location: 'norfolk va' },
+    ],
+  }, 2);
+
+  assert.deepEqual(Object.keys(data.advisors).sort(), ['AVL|Greenbelt MD', 'AVL|Greenbelt, MD', 'CFG|Fort Washington', 'CFG|Norfolk, VA']);
+  assert.equal(data.advisors['AVL|Greenbelt MD'].workshops[0].totalWalkins, 2);
+  assert.equal(data.advisors['AVL|Greenbelt, MD'].workshops[0].totalWalkins, 5);
+  assert.equal(data.forecasts['AVL|Greenbelt MD'].currentFeds, '9');
+  assert.equal(data.forecasts['CFG|Norfolk, VA'].currentFeds, '3');
+  assert.deepEqual(notes.map(n => n.key), ['AVL|Greenbelt MD']);
+  assert.match(notes[0].note, /AVL\|Greenbelt, MD/);
+  assert.deepEqual(data.decisionLog.map(d => d.key), ['AVL|Greenbelt MD', 'CFG|Norfolk, VA']);
+});
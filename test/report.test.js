@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, reportToCsv, reportToMarkdown, reportToEmail } = require('../report');
+
+function row(overrides) {
+  return Object.assign({
+    code: 'AVL', location: 'Greenbelt, MD', session: '', registered: 30, confirmed: 0,
+    expected: '21.0', target: '20', closeAt: 28, buffer: '+2', confidence: 'High', decision: 'CLOSE',
+  }, overrides);
+}
+
+test('csvCell quotes commas, quotes and line breaks only', () => {
+  assert.equal(csvCell('Greenbelt MD'), 'Greenbelt MD');
+  assert.equal(csvCell(28), '28');
+  assert.equal(csvCell('Greenbelt, MD'), '"Greenbelt, MD"');
+  assert.equal(csvCell('The "Annex"'), '"The ""Annex"""');
+  assert.equal(csvCell('line\nbreak'), '"line\nbreak"');
+  assert.equal(csvCell('line\rbreak'), '"line\rbreak"');
+});
+
+test('csvCell keeps spreadsheet formulas from running but leaves signed numbers alone', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvCell('+SUM(A1)'), "'+SUM(A1)");
+  assert.equal(csvCell('-1+2'), "'-1+2");
+  assert.equal(csvCell('@cmd'), "'@cmd");
+  assert.equal(csvCell('+2'), '+2');
+  assert.equal(csvCell('-3'), '-3');
+  assert.equal(csvCell(-1.5), '-1.5');
+});
+
+test('reportToCsv writes a header and one line per row', () => {
+  const csv = reportToCsv([row(), row({ code: 'CFG', location: 'Norfolk, VA', closeAt: '', buffer: '', decision: 'KEEP OPEN' })]);
+  const lines = csv.trimEnd().split('\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^Code,Location,Workshop,Registered/);
+  assert.equal(lines[1], 'AVL,"Greenbelt, MD",,30,0,21.0,20,28,+2,High,CLOSE');
+  assert.equal(lines[2], 'CFG,"Norfolk, VA",,30,0,21.0,20,,,High,KEEP OPEN');
+});
+
+test('reportToMarkdown escapes pipes, backslashes and line breaks and dashes blanks', () => {
+  const md = reportToMarkdown([row({ location: 'Annex | Room 2\\B\nnorth', closeAt: '', buffer: '' })]).trimEnd().split('\n');
+  assert.equal(md.length, 3);
+  assert.equal(md[2], '| AVL | Annex \\| Room 2\\\\B north | — | 30 | 0 | 21.0 | 20 | — | — | High | CLOSE |');
+  // Every line has the same number of unescaped column separators
+  const columns = line => line.split(/(?<!\\)\|/).length;
+  assert.equal(columns(md[2]), columns(md[0]));
+});
+
+test('reportToEmail groups rows by decision and notes a filtered view', () => {
+  const text = reportToEmail([
+    row({ session: '2025-03-04', sessionLabel: 'Tue, Mar 4, 2025', confirmed: 12 }),
+    row({ code: 'CFG', location: 'Norfolk, VA', closeAt: 40, buffer: '-3', decision: 'KEEP OPEN' }),
+  ], { filtered: true });
+  const lines = text.split('\n');
+  assert.equal(lines[0], 'Workshop decisions');
+  assert.equal(lines[1], '2 workshops (filtered view).');
+  assert.ok(lines.includes('CLOSE (1)'));
+  assert.ok(lines.includes('- AVL Greenbelt, MD (Tue, Mar 4, 2025): 30 registered (12 confirmed), expecting 21.0 vs target 20 — close at 28 (2 over). High confidence.'));
+  assert.ok(lines.includes('KEEP OPEN (1)'));
+  assert.ok(lines.includes('- CFG Norfolk, VA: 30 registered, expecting 21.0 vs target 20 — close at 40 (3 short). High confidence.'));
+});
@@ -0,0 +1,234 @@
+// ============================================================
+// Workshop Trend Calculator - Minimal .xlsx reader
+// Unzips the workbook with the browser's built-in DecompressionStream and reads the
+// sheet XML with DOMParser — everything stays local, no libraries or network.
+// ============================================================
+
+/*
+  readXlsxWorkbook(arrayBuffer) resolves to:
+  {
+    sheets: [
+      { name: "Stats", rows: [ ["AVL", "Greenbelt, MD", ...], ["", "Date", "1/5/2025", ...], ... ] },
+      ...
+    ]
+  }
+  Cell values are strings; date-formatted cells are rendered as M/D/YYYY so they go
+  through parseDate() exactly like pasted text.
+*/
+
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in number formats that Excel renders as dates/times
+const XLSX_BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// --- Zip ---
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // End of central directory record is at least 22 bytes from the end (plus an optional comment)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a valid .xlsx file (zip directory not found).');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff) throw new Error('This workbook is too large to read (zip64 is not supported).');
+
+  const entries = {};
+  for (let n = 0; n < entryCount; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt .xlsx file (bad zip directory entry).');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLen = view.getUint16(offset + 28, true);
+    const extraLen = view.getUint16(offset + 30, true);
+    const commentLen = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLen));
+    entries[name] = { method, compressedSize, localOffset };
+    offset += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const lo = entry.localOffset;
+  if (view.getUint32(lo, true) !== 0x04034b50) throw new Error('Corrupt .xlsx file (bad zip entry header).');
+  const start = lo + 30 + view.getUint16(lo + 26, true) + view.getUint16(lo + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error('Unsupported compression in .xlsx file.');
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// --- XML helpers ---
+function xmlChildren(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+function xmlText(node) {
+  // Concatenate <t> runs, skipping phonetic hints (<rPh>) that Excel stores alongside them
+  return xmlChildren(node, 't')
+    .filter(t => !t.parentNode || t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+function columnIndex(ref) {
+  const letters = (String(ref).match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  let idx = 0;
+  for (const ch of letters) idx = idx * 26 + (ch.charCodeAt(0) - 64);
+  return idx - 1;
+}
+
+function parseCellRange(range) {
+  // "B2:AF90" → zero-based inclusive bounds; a bare column range like "A:Z" spans all rows
+  const m = String(range || '').trim().toUpperCase().match(/^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+  if (!m) return null;
+  const startCol = columnIndex(m[1]);
+  const endCol = m[3] ? columnIndex(m[3]) : startCol;
+  const startRow = m[2] ? Number(m[2]) - 1 : 0;
+  const endRow = m[4] ? Number(m[4]) - 1 : (m[3] ? Infinity : (m[2] ? startRow : Infinity));
+  return {
+    startRow: Math.min(startRow, endRow), endRow: Math.max(startRow, endRow),
+    startCol: Math.min(startCol, endCol), endCol: Math.max(startCol, endCol),
+  };
+}
+
+function sliceGrid(rows, range) {
+  const r = parseCellRange(range);
+  if (!r) throw new Error(`Invalid range "${range}". Use a form like A1:Z200.`);
+  return rows
+    .slice(r.startRow, r.endRow === Infinity ? undefined : r.endRow + 1)
+    .map(cols => cols.slice(r.startCol, r.endCol + 1));
+}
+
+// --- Number formats ---
+function isDateFormatCode(code) {
+  // Strip quoted literals, escapes and colour/condition brackets before looking for date tokens
+  const bare = String(code).replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '');
+  return /[dmy]/i.test(bare) && !/^general$/i.test(bare.trim());
+}
+
+function serialToDateString(serial, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const d = new Date(epoch + Math.round(serial * 86400) * 1000);
+  return `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
+}
+
+function readDateStyles(stylesDoc) {
+  // Returns a Set of cellXfs indexes (the "s" attribute on <c>) that render as dates
+  const custom = {};
+  xmlChildren(stylesDoc, 'numFmt').forEach(nf => {
+    custom[Number(nf.getAttribute('numFmtId'))] = nf.getAttribute('formatCode') || '';
+  });
+  const dateStyles = new Set();
+  const cellXfs = xmlChildren(stylesDoc, 'cellXfs')[0];
+  if (!cellXfs) return dateStyles;
+  Array.from(cellXfs.children).filter(el => el.localName === 'xf').forEach((xf, idx) => {
+    const id = Number(xf.getAttribute('numFmtId') || 0);
+    if (XLSX_BUILTIN_DATE_FORMATS.has(id) || (custom[id] !== undefined && isDateFormatCode(custom[id]))) {
+      dateStyles.add(idx);
+    }
+  });
+  return dateStyles;
+}
+
+// --- Sheets ---
+function readSheetRows(sheetDoc, sharedStrings, dateStyles, date1904) {
+  const rows = [];
+  xmlChildren(sheetDoc, 'row').forEach((rowEl, rowPos) => {
+    const rowIdx = rowEl.getAttribute('r') ? Number(rowEl.getAttribute('r')) - 1 : rowPos;
+    const cols = rows[rowIdx] || (rows[rowIdx] = []);
+    let nextCol = 0;
+    Array.from(rowEl.children).filter(el => el.localName === 'c').forEach(cell => {
+      const ref = cell.getAttribute('r');
+      const colIdx = ref ? columnIndex(ref) : nextCol;
+      nextCol = colIdx + 1;
+
+      const type = cell.getAttribute('t') || 'n';
+      const vEl = xmlChildren(cell, 'v')[0];
+      const raw = vEl ? vEl.textContent : '';
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[Number(raw)] || '';
+      } else if (type === 'inlineStr') {
+        const is = xmlChildren(cell, 'is')[0];
+        value = is ? xmlText(is) : '';
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      } else if (type === 'e') {
+        value = '';
+      } else if (type === 'n' && raw !== '' && dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+        value = serialToDateString(Number(raw), date1904);
+      } else {
+        value = raw;
+      }
+      cols[colIdx] = value;
+    });
+  });
+
+  // Fill holes so every row is a dense array of strings
+  const grid = [];
+  for (let r = 0; r < rows.length; r++) {
+    const cols = rows[r] || [];
+    const dense = [];
+    for (let c = 0; c < cols.length; c++) dense.push(cols[c] == null ? '' : cols[c]);
+    grid.push(dense);
+  }
+  return grid;
+}
+
+function resolveSheetPath(target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return 'xl/' + target.replace(/^\.\//, '');
+}
+
+async function readXlsxWorkbook(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const entries = readZipDirectory(bytes);
+  const parser = new DOMParser();
+
+  const readXml = async (path) => {
+    const entry = entries[path];
+    if (!entry) return null;
+    const text = new TextDecoder().decode(await readZipEntry(bytes, entry));
+    return parser.parseFromString(text, 'application/xml');
+  };
+
+  const workbookDoc = await readXml('xl/workbook.xml');
+  if (!workbookDoc) throw new Error('Not an Excel workbook (xl/workbook.xml is missing).');
+  const relsDoc = await readXml('xl/_rels/workbook.xml.rels');
+  const stylesDoc = await readXml('xl/styles.xml');
+  const sharedDoc = await readXml('xl/sharedStrings.xml');
+
+  const relTargets = {};
+  if (relsDoc) {
+    xmlChildren(relsDoc, 'Relationship').forEach(rel => {
+      relTargets[rel.getAttribute('Id')] = rel.getAttribute('Target');
+    });
+  }
+  const sharedStrings = sharedDoc ? xmlChildren(sharedDoc, 'si').map(xmlText) : [];
+  const dateStyles = stylesDoc ? readDateStyles(stylesDoc) : new Set();
+  const workbookPr = xmlChildren(workbookDoc, 'workbookPr')[0];
+  const date1904 = !!workbookPr && /^(1|true)$/i.test(workbookPr.getAttribute('date1904') || '');
+
+  const sheets = [];
+  for (const sheetEl of xmlChildren(workbookDoc, 'sheet')) {
+    const relId = sheetEl.getAttributeNS(XLSX_REL_NS, 'id') || sheetEl.getAttribute('r:id');
+    const target = relTargets[relId];
+    if (!target) continue;
+    const sheetDoc = await readXml(resolveSheetPath(target));
+    if (!sheetDoc) continue; // chart sheets and macro sheets have no sheetData
+    sheets.push({
+      name: sheetEl.getAttribute('name') || `Sheet ${sheets.length + 1}`,
+      rows: readSheetRows(sheetDoc, sharedStrings, dateStyles, date1904),
+    });
+  }
+
+  if (sheets.length === 0) throw new Error('No worksheets found in this workbook.');
+  return { sheets };
+}